@@ -0,0 +1,66 @@
+let nollup = require('./index');
+let watch = require('./watch');
+let ConfigLoader = require('./impl/ConfigLoader');
+let NollupCache = require('./impl/NollupCache');
+
+async function loadConfig (options) {
+    options = await ConfigLoader.loadRc(options);
+
+    if (options.clearCache) {
+        NollupCache.clear(options.cacheDir);
+    }
+
+    let config = typeof options.config === 'string' ? await ConfigLoader.load(options.config) : options.config;
+    return { options, config };
+}
+
+/**
+ * The config file is part of the cache key, as it holds the options of the plugins.
+ *
+ * @param {Object} options
+ * @return {string}
+ */
+function getConfigFile (options) {
+    return typeof options.config === 'string'? options.config : undefined;
+}
+
+async function build (options) {
+    let { config } = await loadConfig(options);
+    let configs = ConfigLoader.splitOutputs(config);
+    let compilation_time = 0;
+
+    for (let i = 0; i < configs.length; i++) {
+        let bundle = await nollup(configs[i]);
+
+        bundle.configure({
+            liveBindings: options.liveBindings,
+            cacheDir: options.cacheDir,
+            configFile: getConfigFile(options)
+        });
+
+        let { stats } = await bundle.write(configs[i].output || {});
+        compilation_time += stats.time;
+    }
+
+    console.log('\x1b[32m%s\x1b[0m', `[Nollup] Built in ${compilation_time}ms.`);
+}
+
+async function watchBuild (options) {
+    let loaded = await loadConfig(options);
+    // The "hot" option of the rc file is meant for the dev server, the written bundles don't run here.
+    let watcher = watch(loaded.config, Object.assign({}, loaded.options, { hot: false, configFile: getConfigFile(loaded.options) }));
+
+    watcher.on('event', e => {
+        if (e.code === 'BUNDLE_END') {
+            console.log('\x1b[32m%s\x1b[0m', `[Nollup] Compiled ${e.output.join(', ')} in ${e.duration}ms.`);
+        }
+
+        if (e.code === 'ERROR') {
+            console.log('\x1b[91m%s\x1b[0m', (e.error.stack || e.error.message));
+        }
+    });
+
+    return watcher;
+}
+
+module.exports = { build, watch: watchBuild };
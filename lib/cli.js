@@ -1,6 +1,11 @@
 #!/usr/bin/env node
 
-if (!process.env.ROLLUP_WATCH) {
+// "nollup build" compiles once and writes to disk instead of starting the dev server.
+// With --watch, it writes to disk again whenever files change.
+let isWatch = process.argv.includes('-w') || process.argv.includes('--watch');
+let isBuild = !isWatch && (process.argv[2] === 'build' || process.argv.includes('--no-serve'));
+
+if (!process.env.ROLLUP_WATCH && !isBuild) {
     process.env.ROLLUP_WATCH = 'true';
 }
 
@@ -10,7 +15,8 @@ if (!process.env.NOLLUP) {
 
 let path = require('path');
 let fs = require('fs');
-let devServer = require('./dev-server')
+let devServer = require('./dev-server');
+let { build, watch } = require('./build');
 
 // https://github.com/rollup/rollup/blob/master/cli/run/getConfigPath.ts#L34
 function findConfigFile() {
@@ -32,13 +38,17 @@ let options = {
     contentBase: './',
     historyApiFallback: false,
     hot: false,
+    liveReload: false,
     port: 8080,
     verbose: false,
     hmrHost: undefined,
+    overlay: true,
     https: false,
     host: 'localhost',
     liveBindings: false,
-    rc: undefined
+    rc: undefined,
+    cacheDir: undefined,
+    clearCache: false
 };
 
 function getValue (index) {
@@ -114,7 +124,12 @@ for (let i = 0; i < process.argv.length; i++) {
             break;
 
         case '--hot': 
-            options.hot = true;
+            value = getValue(i);
+            options.hot = value === 'reload'? value : true;
+            break;
+
+        case '--live-reload':
+            options.liveReload = true;
             break;
 
         case '--port':
@@ -130,6 +145,10 @@ for (let i = 0; i < process.argv.length; i++) {
             options.verbose = true;
             break;
 
+        case '--no-overlay':
+            options.overlay = false;
+            break;
+
         case '--hmr-host':
             value = getValue(i);
             if (value) {
@@ -181,10 +200,19 @@ for (let i = 0; i < process.argv.length; i++) {
                 options.liveBindings = true;
             }
             break;
+
+        case '--cache-dir':
+            value = getValue(i);
+            options.cacheDir = value || true;
+            break;
+
+        case '--clear-cache':
+            options.clearCache = true;
+            break;
     }
 }
 
-devServer(options).catch(e => {
+(isWatch? watch(options) : isBuild? build(options) : devServer(options)).catch(e => {
     console.error(e.message);
     process.exit(1);
 });
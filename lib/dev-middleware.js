@@ -1,230 +1,122 @@
-let nollup = require('./index');
-let chokidar = require('chokidar');
 let expressws = require('express-ws');
-let fs = require('fs');
-let url = require('url');
-let hmr = require('./plugin-hmr');
-let mime = require('mime-types');
-let path = require('path');
-let { createFilter } = require('@rollup/pluginutils');
-
-module.exports = function (app, config, options, server) {
-    expressws(app, server);
-    let bundles = [];
-    let isBundling = true;
-    let files = {};
-    let sockets = {};
-    let file_listeners = [];
-
-    let configs = Array.isArray(config)? config : [config];
-
-    // Output as an array, convert to multiple configs
-    for (let i = 0; i < configs.length; i++) {
-        let c = configs[i];
-        if (Array.isArray(c.output)) {
-            let output = c.output;
-            c.output = output[0];
-
-            for (let j = 1; j < output.length; j++) {
-                let clone = Object.assign({}, c);
-                clone.output = output[j];
-                configs.splice(i + 1, 0, clone);
-                i++;
+let { createDevMiddlewareCore } = require('./impl/DevMiddlewareCore');
+
+/**
+ * Adds the lifecycle methods and build events of the core to the middleware.
+ *
+ * @param {function} middleware
+ * @param {Object} core
+ * @return {function}
+ */
+function exposeLifecycle (middleware, core) {
+    middleware.attach = server => core.attach(server);
+    middleware.close = () => core.close();
+    middleware.waitUntilValid = callback => core.waitUntilValid(callback);
+    middleware.invalidate = path => core.invalidate(path);
+    middleware.getFiles = () => core.getFiles();
+    middleware.getStatus = () => core.getStatus();
+
+    ['on', 'once', 'off'].forEach(method => {
+        middleware[method] = (event, listener) => {
+            core[method](event, listener);
+            return middleware;
+        };
+    });
+
+    return middleware;
+}
+
+/**
+ * Serves the files of the bundles, and calls next for any other request.
+ * Without next, other requests get a 404 response.
+ *
+ * @param {Object} core
+ * @return {function}
+ */
+function createRequestHandler (core) {
+    let handler = function (req, res, next) {
+        core.handleRequest(req, res).then(served => {
+            if (served) {
+                return;
             }
-        }
-    }
-
-    if (options.hot) {
-        configs.forEach((c, i) => {
-            c.plugins = c.plugins || [];
-            c.plugins.push(hmr({
-                verbose: options.verbose,
-                hmrHost: options.hmrHost,
-                bundleId: (i || '')
-            }));
 
-            sockets[i] = [];
-
-            app.ws('/__hmr' + (i || ''), (ws, req) => {
-                sockets[i].push(ws);
-
-                // greeting -- see: https://github.com/PepsRyuu/nollup/issues/35
-                ws.send(JSON.stringify({ greeting: true }))
-
-                ws.on('close', () => {
-                    sockets[i].splice(sockets[i].indexOf(ws), 1);
-                });
-            });
+            if (next) {
+                next();
+            } else {
+                res.writeHead(404);
+                res.end();
+            }
         });
-    }
+    };
+
+    return exposeLifecycle(handler, core);
+}
+
+/**
+ * Express adapter.
+ *
+ * @param {Object} app
+ * @param {Object|Object[]} config
+ * @param {Object} options
+ * @param {Object} [server]
+ * @return {function}
+ */
+module.exports = function (app, config, options, server) {
+    expressws(app, server);
+    let core = createDevMiddlewareCore(config, options);
 
-    function messageAllSocketsInBundle (message, bundleId) {
-        if (!options.hot) {
-            return;
-        }
+    core.hmrPaths.forEach((hmrPath, i) => {
+        app.ws(hmrPath, (ws, req) => core.connect(ws, req, i));
+    });
 
-        sockets[bundleId].forEach(socket => {
-            socket.send(JSON.stringify(message));
-        });
-    }
+    return createRequestHandler(core);
+};
 
-    function messageAllSockets (message) {
-        Object.keys(sockets).forEach(bundleId => {
-            messageAllSocketsInBundle(message, bundleId);
-        });
+/**
+ * Adapter for Connect and plain Node request handlers.
+ *
+ * @param {Object|Object[]} config
+ * @param {Object} options
+ * @param {Object} [server]
+ * @return {function}
+ */
+module.exports.http = function (config, options, server) {
+    let handler = createRequestHandler(createDevMiddlewareCore(config, options));
+
+    if (server) {
+        handler.attach(server);
     }
 
-    async function generateBundles () {
-        try {
-            let compilation_time = 0;
-
-            for (let i = 0; i < bundles.length; i++) {
-                const { output } = configs[i]
-                let update = await bundles[i].generate(output);
-                messageAllSocketsInBundle({ status: 'ready' }, i);
-                update.output.forEach(obj => {
-                    let fileName = obj.fileName;
-                    if (output.file) {
-                        if (fileName === path.basename(output.file)) {
-                            let contentBase = path.posix.resolve(options.contentBase || './');
-                            let targetPath = path.posix.resolve(output.file);
-                            fileName = targetPath.replace(contentBase, '').substring(1);
-                        }
-                    }
-
-                    files[fileName] = obj.isAsset? obj.source : obj.code;
-                });
-
-                messageAllSocketsInBundle({ changes: update.changes }, i);
-
-                if (compilation_time < update.stats.time) {
-                    compilation_time = update.stats.time;
-                }
-            }
+    return handler;
+};
 
-            isBundling = false;
-            file_listeners.forEach(fn => fn());
-            file_listeners = [];
-            console.log('\x1b[32m%s\x1b[0m', `[Nollup] Compiled in ${compilation_time}ms.`);
-        } catch (e) {
-            console.log('\x1b[91m%s\x1b[0m', (e.stack || e.message));
+module.exports.connect = module.exports.http;
+
+/**
+ * Koa adapter.
+ *
+ * @param {Object|Object[]} config
+ * @param {Object} options
+ * @param {Object} [server]
+ * @return {function}
+ */
+module.exports.koa = function (config, options, server) {
+    let core = createDevMiddlewareCore(config, options);
+
+    let middleware = async function (ctx, next) {
+        if (await core.handleRequest(ctx.req, ctx.res)) {
+            // The response has been written already.
+            ctx.respond = false;
+        } else {
+            await next();
         }
-    }
+    };
 
-    (async function () {
-        for (let i = 0; i < configs.length; i++) {
-            let bundle = await nollup(configs[i]);
-            bundle.configure(options); // live-bindings config
-            bundles.push(bundle);
-        }
+    exposeLifecycle(middleware, core);
 
-        // Exclude these directories
-        let watchExclude = configs.reduce((acc, config) => {
-            if (config.watch && config.watch.exclude) {
-                if (Array.isArray(config.watch.exclude)) {
-                    acc = acc.concat(config.watch.exclude);
-                } else {
-                    acc.push(config.watch.exclude);
-                }
-            }
-            return acc;
-        }, []);
-
-        // Limit to these directories only
-        let watchInclude = configs.reduce((acc, config) => {
-            if (config.watch && config.watch.include) {
-                if (Array.isArray(config.watch.include)) {
-                    acc = acc.concat(config.watch.include);
-                } else {
-                    acc.push(config.watch.include);
-                }
-            }
-            return acc;
-        }, []);
-
-        let filter = createFilter(watchInclude, watchExclude);
-
-        let watcher = chokidar.watch(options.watch || process.cwd(), {
-            ignoreInitial: true,
-            // Using a function improves performance when using symlink package managers - Issue #63
-            ignored: path => {
-                if (watchExclude.length > 0 || watchInclude.length > 0) {
-                    return !filter(path);
-                } else {
-                    return path.includes('/node_modules/') || path.includes('/.git/');
-                }
-            }
-        });
-
-        let watcherTimeout;
-
-        const onChange = async (path) => {
-            messageAllSockets({ status: 'check' });
-
-            if (fs.lstatSync(path).isFile()) {
-                files = {};
-                isBundling = true;
-                bundles.forEach(b => b.invalidate(path));
-
-                if (watcherTimeout) {
-                    clearTimeout(watcherTimeout);
-                }
-
-                watcherTimeout = setTimeout(async () => {
-                    messageAllSockets({ status: 'prepare' });
-                    generateBundles();
-                }, 100);
-            }
-        };
-
-        watcher.on('add', onChange);
-        watcher.on('change', onChange);
-        generateBundles();
-    })();
-
-    let publicPath = options.publicPath || '/';
-    if (!publicPath.startsWith('/')) {
-        publicPath = '/' + publicPath;
-    }
-
-    if (!publicPath.endsWith('/')) {
-        publicPath = publicPath + '/';
+    if (server) {
+        middleware.attach(server);
     }
 
-    return function (req, res, next) {
-        let impl = () => {
-            let fullPath = url.parse(req.url).pathname;
-
-            if (!fullPath.startsWith(publicPath)) {
-                return next();
-            }
-
-            let filename = fullPath.replace(publicPath, '');
-
-            if (isBundling) {
-                file_listeners.push(impl);
-                return;
-            }
-
-            if (filename === '') {
-                filename = 'index.html';
-            }
-
-            if (files[filename]) {
-                const type = mime.lookup(filename);
-                if (type) {
-                    res.writeHead(200, Object.assign({ 'Content-Type': type }, options.headers));
-                } else {
-                    res.writeHead(200, options.headers);
-                }
-
-                res.write(files[filename]);
-                res.end();
-            } else {
-                next();
-            }
-        }
-
-        impl();
-    }
+    return middleware;
 };
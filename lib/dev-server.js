@@ -1,5 +1,4 @@
 let fs = require('fs');
-let path = require('path');
 let http = require('http');
 let https = require('https');
 let express = require('express');
@@ -7,31 +6,14 @@ let fallback = require('express-history-api-fallback');
 let proxy = require('express-http-proxy');
 let NollupDevMiddleware = require('./dev-middleware');
 let ConfigLoader = require('./impl/ConfigLoader');
+let NollupCache = require('./impl/NollupCache');
 let app = express();
 
-async function loadRc (options, file) {
-    let nollupRc;
-
-    if (file.endsWith('.js')) {
-        nollupRc = await ConfigLoader.load(path.resolve(process.cwd(), file));
-    } else {
-        nollupRc = JSON.parse(fs.readFileSync(file, 'utf8'));
-    }
-
-    return Object.assign({}, options, nollupRc);
-}
-
 async function devServer(options) {
-    if (options.rc) {
-        if (fs.existsSync(options.rc)) {
-            options = await loadRc(options, options.rc);
-        } else {
-            throw new Error('File does not exist: ' + options.rc);
-        }
-    } else if (fs.existsSync('.nolluprc')) {
-        options = await loadRc(options, '.nolluprc');
-    } else if (fs.existsSync('.nolluprc.js')) {
-        options = await loadRc(options, '.nolluprc.js');
+    options = await ConfigLoader.loadRc(options);
+
+    if (options.clearCache) {
+        NollupCache.clear(options.cacheDir);
     }
 
     if (options.before) {
@@ -63,12 +45,17 @@ async function devServer(options) {
     let config = typeof options.config === 'string' ? await ConfigLoader.load(options.config) : options.config;
     let nollup = NollupDevMiddleware(app, config, {
         hot: options.hot,
+        liveReload: options.liveReload,
         verbose: options.verbose,
         headers: options.headers,
         hmrHost: options.hmrHost,
+        overlay: options.overlay,
         contentBase: options.contentBase,
         publicPath: options.publicPath,
-        liveBindings: options.liveBindings
+        liveBindings: options.liveBindings,
+        cacheDir: options.cacheDir,
+        configFile: typeof options.config === 'string'? options.config : undefined,
+        cacheControl: options.cacheControl
     }, server)
 
     app.use(nollup);
@@ -19,12 +19,13 @@ function parse (input, options = {}) {
         options = Object.assign({}, defaultAcornOptions, options)
         return parser.parse(input, options);
     } catch (e) {
-        e.message = [
-            e.message,
+        e.frame = [
             '    ' + input.split('\n')[e.loc.line - 1],
             '    ' +  '^'.padStart(e.loc.column + 1)
         ].join('\n');
 
+        e.message = e.message + '\n' + e.frame;
+
         throw e;
     }
 }
@@ -2,6 +2,7 @@
 let nollup = require('../index');
 let path = require('path');
 let url = require('url');
+let fs = require('fs');
 
 module.exports = class ConfigLoader {
     /**
@@ -22,6 +23,58 @@ module.exports = class ConfigLoader {
             : config;
     }
 
+    /**
+     * Splits configs with an array of outputs into
+     * multiple configs which have one output each.
+     *
+     * @param {object|object[]} config
+     * @return {object[]}
+     */
+    static splitOutputs(config) {
+        let configs = Array.isArray(config)? config : [config];
+
+        return configs.reduce((acc, c) => {
+            if (Array.isArray(c.output)) {
+                c.output.forEach(output => acc.push(Object.assign({}, c, { output })));
+            } else {
+                acc.push(c);
+            }
+
+            return acc;
+        }, []);
+    }
+
+    /**
+     * Merges the options with the .nolluprc or .nolluprc.js file
+     * in the current directory, or the file in the rc option.
+     *
+     * @param {object} options
+     * @return {Promise<object>}
+     */
+    static async loadRc(options) {
+        let file;
+
+        if (options.rc) {
+            if (fs.existsSync(options.rc)) {
+                file = options.rc;
+            } else {
+                throw new Error('File does not exist: ' + options.rc);
+            }
+        } else {
+            file = ['.nolluprc', '.nolluprc.js'].find(rc => fs.existsSync(rc));
+        }
+
+        if (!file) {
+            return options;
+        }
+
+        let nollupRc = file.endsWith('.js')?
+            await ConfigLoader.load(path.resolve(process.cwd(), file)) :
+            JSON.parse(fs.readFileSync(file, 'utf8'));
+
+        return Object.assign({}, options, nollupRc);
+    }
+
     /**
      * Uses compiler to compile rollup.config.js file.
      * This allows config file to use ESM, but compiles to CJS
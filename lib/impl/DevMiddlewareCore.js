@@ -0,0 +1,876 @@
+let EventEmitter = require('events');
+let crypto = require('crypto');
+let nollup = require('../index');
+let WebSocket = require('ws');
+let fs = require('fs');
+let url = require('url');
+let hmr = require('../plugin-hmr');
+let mime = require('mime-types');
+let path = require('path');
+let ConfigLoader = require('./ConfigLoader');
+let PluginErrorHandler = require('./PluginErrorHandler');
+let { createFilter } = require('@rollup/pluginutils');
+let { createFileWatcher } = require('./FileWatcher');
+
+// Number of builds kept for each bundle to send clients the changes they missed.
+const MAX_BUILD_HISTORY = 50;
+
+// Reports whether the bundles are compiling, compiled or failed.
+const STATUS_PATH = '/__nollup/status';
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+function escapeHTML (str) {
+    return String(str).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+}
+
+/**
+ * Files are revalidated by default, as they change with each build.
+ * The option can be a value for every file, or an object of file patterns to values.
+ *
+ * @param {string|Object<string, string>} cacheControl
+ * @return {function(string): string}
+ */
+function createCacheControl (cacheControl = 'no-cache') {
+    if (typeof cacheControl === 'string') {
+        return () => cacheControl;
+    }
+
+    let patterns = Object.keys(cacheControl).map(pattern => ({
+        filter: createFilter(pattern, null, { resolve: false }),
+        value: cacheControl[pattern]
+    }));
+
+    return filename => {
+        let match = patterns.find(p => p.filter(filename));
+        return match? match.value : 'no-cache';
+    };
+}
+
+/**
+ * @param {string|Uint8Array} content
+ * @param {Object} [previous]
+ * @return {{ etag: string, lastModified: Date }}
+ */
+function getFileStats (content, previous) {
+    let etag = '"' + crypto.createHash('sha1').update(content).digest('base64') + '"';
+
+    // Unchanged files keep their date, so "If-Modified-Since" still matches.
+    if (previous && previous.etag === etag) {
+        return previous;
+    }
+
+    return { etag, lastModified: new Date() };
+}
+
+/**
+ * @param {Object} req
+ * @param {{ etag: string, lastModified: Date }} stats
+ * @return {boolean}
+ */
+function isNotModified (req, stats) {
+    let headers = req.headers || {};
+
+    if (headers['if-none-match']) {
+        return headers['if-none-match'].split(',').some(tag => {
+            tag = tag.trim();
+            return tag === '*' || tag.replace(/^W\//, '') === stats.etag;
+        });
+    }
+
+    if (headers['if-modified-since']) {
+        let since = Date.parse(headers['if-modified-since']);
+
+        // Dates in headers don't have milliseconds.
+        return !isNaN(since) && Math.floor(stats.lastModified.getTime() / 1000) * 1000 <= since;
+    }
+
+    return false;
+}
+
+/**
+ * Parses a single range of bytes. Other ranges are ignored, and the whole file is sent.
+ *
+ * @param {string} header
+ * @param {number} size
+ * @return {{ start: number, end: number }|null|false} False if the range can't be satisfied.
+ */
+function parseRange (header, size) {
+    let match = /^bytes=(\d*)-(\d*)$/.exec(header.trim());
+
+    if (!match || (match[1] === '' && match[2] === '')) {
+        return null;
+    }
+
+    let start, end;
+
+    if (match[1] === '') {
+        // Suffix ranges request the last bytes of the file.
+        start = Math.max(size - parseInt(match[2], 10), 0);
+        end = size - 1;
+    } else {
+        start = parseInt(match[1], 10);
+        end = match[2] === ''? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+    }
+
+    if (start > end || start >= size) {
+        return false;
+    }
+
+    return { start, end };
+}
+
+/**
+ * @param {Object} req
+ * @param {Object} res
+ * @param {string|Uint8Array} content
+ * @param {{ etag: string, lastModified: Date }} stats
+ * @param {Object} headers
+ */
+function writeFileResponse (req, res, content, stats, headers) {
+    let reqHeaders = req.headers || {};
+
+    if (isNotModified(req, stats)) {
+        res.writeHead(304, headers);
+        res.end();
+        return;
+    }
+
+    // "If-Range" only allows partial responses if the file hasn't changed.
+    let ifRange = reqHeaders['if-range'];
+    let rangeMatches = !ifRange || ifRange === stats.etag || ifRange === headers['Last-Modified'];
+
+    if (reqHeaders.range && rangeMatches) {
+        let buffer = Buffer.from(content);
+        let range = parseRange(reqHeaders.range, buffer.length);
+
+        if (range === false) {
+            res.writeHead(416, Object.assign({}, headers, { 'Content-Range': `bytes */${buffer.length}` }));
+            res.end();
+            return;
+        }
+
+        if (range) {
+            res.writeHead(206, Object.assign({}, headers, {
+                'Content-Range': `bytes ${range.start}-${range.end}/${buffer.length}`,
+                'Content-Length': range.end - range.start + 1
+            }));
+
+            res.write(buffer.slice(range.start, range.end + 1));
+            res.end();
+            return;
+        }
+    }
+
+    res.writeHead(200, headers);
+    res.write(content);
+    res.end();
+}
+
+/**
+ * @param {Object} req
+ * @return {boolean}
+ */
+function acceptsHTML (req) {
+    return Boolean(req.headers && req.headers.accept && req.headers.accept.includes('text/html'));
+}
+
+/**
+ * @param {string} str
+ * @return {string}
+ */
+function escapeRegExp (str) {
+    return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Outputs using the "file" option are served relative to contentBase,
+ * so that pages in contentBase can reference them.
+ *
+ * @param {string} file
+ * @param {string} contentBase
+ * @return {string}
+ */
+function getOutputFileName (file, contentBase) {
+    return path.posix.resolve(file).replace(path.posix.resolve(contentBase || './'), '').substring(1);
+}
+
+/**
+ * Matches the entry files of a bundle, so that requests for them can be answered
+ * with its build error before it has compiled. Chunks are only loaded by the entries.
+ *
+ * @param {Object} config
+ * @param {string} contentBase
+ * @return {RegExp[]}
+ */
+function getEntryFilePatterns (config, contentBase) {
+    let { input, output } = config;
+
+    if (output.file) {
+        return [new RegExp('^' + escapeRegExp(getOutputFileName(output.file, contentBase)) + '$')];
+    }
+
+    // Functions are called with the chunk, which isn't known until the bundle has compiled.
+    if (output.entryFileNames && typeof output.entryFileNames !== 'string') {
+        return [];
+    }
+
+    let pattern = escapeRegExp(output.entryFileNames || '[name].js');
+    let names = typeof input === 'object' && !Array.isArray(input)?
+        Object.keys(input) :
+        [].concat(input).map(file => path.basename(file, path.extname(file)));
+
+    return names.map(name => new RegExp('^' + pattern.replace(/\\\[(\w+)\\\]/g, (match, placeholder) => {
+        return placeholder === 'name'? escapeRegExp(name) : '[^/]+';
+    }) + '$'));
+}
+
+/**
+ * Writes a response describing a failed build, for requests the last good build can't serve.
+ * Scripts throw the error in the browser console, and pages show it.
+ *
+ * @param {Object} res
+ * @param {string} filename
+ * @param {Object} details
+ */
+function writeErrorResponse (res, filename, details) {
+    let text = '[Nollup] Build failed: ' + details.message;
+
+    if (details.file) {
+        text += '\n' + details.file + (details.line !== undefined? ` (${details.line}:${details.column})` : '');
+    }
+
+    if (details.frame) {
+        text += '\n' + details.frame;
+    }
+
+    if (/\.m?js$/.test(filename)) {
+        res.writeHead(500, { 'Content-Type': 'application/javascript', 'Cache-Control': 'no-store' });
+        res.write(`throw new Error(${JSON.stringify(text)});`);
+    } else {
+        res.writeHead(500, { 'Content-Type': 'text/html', 'Cache-Control': 'no-store' });
+        res.write(`<!DOCTYPE html><html><head><title>Build failed</title></head><body><pre>${escapeHTML(text)}</pre></body></html>`);
+    }
+
+    res.end();
+}
+
+/**
+ * Compiles the bundles, serves their files from memory and sends HMR updates to the clients.
+ * It doesn't depend on any server framework, the adapters in "dev-middleware.js" connect it to them.
+ *
+ * Emits "compile" when a build starts, "compiled" when it finishes, and "error" if it fails.
+ *
+ * @param {Object|Object[]} config
+ * @param {Object} options
+ * @return {EventEmitter}
+ */
+function createDevMiddlewareCore (config, options) {
+    let emitter = new EventEmitter();
+    let bundles = [];
+    let isBundling = true;
+    let hasCompiled = false;
+    let buildError;
+    let bundleErrors = {};
+    let pendingBundles = new Set();
+    let pendingInvalidations = 0;
+    let activeBuilds = 0;
+    let compilationTime;
+    let files = {};
+    let bundleFiles = [];
+    let fileStats = {};
+    let bundleFileStats = [];
+    let getCacheControl = createCacheControl(options.cacheControl);
+    let sockets = {};
+    let file_listeners = [];
+    let valid_listeners = [];
+    let hmrOptions = {};
+    let builds = {};
+    let assetFiles = {};
+    let buildSession = Date.now().toString(36);
+    let buildCount = 0;
+    let hmrPaths = [];
+    let webSocketServer;
+    let attachedServers = [];
+    let watcher;
+    let watcherTimeout;
+    let closed = false;
+
+    let configs = ConfigLoader.splitOutputs(config);
+    let entryFilePatterns = configs.map(c => getEntryFilePatterns(c, options.contentBase));
+
+    let publicPath = options.publicPath || '/';
+    if (!publicPath.startsWith('/')) {
+        publicPath = '/' + publicPath;
+    }
+
+    if (!publicPath.endsWith('/')) {
+        publicPath = publicPath + '/';
+    }
+
+    if (options.hot || options.liveReload) {
+        configs.forEach((c, i) => {
+            // The build id is updated before each build, so it's embedded in the bundle.
+            hmrOptions[i] = {
+                verbose: options.verbose,
+                hmrHost: options.hmrHost,
+                overlay: options.overlay,
+                reload: options.hot === 'reload',
+                liveReload: !options.hot,
+                bundleId: (i || '')
+            };
+
+            c.plugins = c.plugins || [];
+            c.plugins.push(hmr(hmrOptions[i]));
+
+            sockets[i] = [];
+            builds[i] = [];
+            hmrPaths.push('/__hmr' + (i || ''));
+        });
+    }
+
+    function connect (ws, req, bundleId) {
+        sockets[bundleId].push(ws);
+
+        // greeting -- see: https://github.com/PepsRyuu/nollup/issues/35
+        ws.send(JSON.stringify({ greeting: true }))
+
+        // Reconnecting clients tell which build they're running, so they can catch up.
+        let { buildId } = url.parse(req.url, true).query;
+        if (buildId) {
+            syncSocket(ws, bundleId, buildId);
+        }
+
+        // Reloaded pages run the last good files, so they're told the build is failing.
+        if (bundleErrors[bundleId]) {
+            ws.send(JSON.stringify({ error: PluginErrorHandler.getDetails(bundleErrors[bundleId]) }));
+        }
+
+        // Custom events sent by the client with "module.hot.send".
+        ws.on('message', async data => {
+            try {
+                let message = JSON.parse(data);
+
+                // Any page can connect, so messages that aren't events are ignored.
+                if (!message || typeof message !== 'object' || typeof message.event !== 'string' || !bundles[bundleId]) {
+                    return;
+                }
+
+                await bundles[bundleId].hotEvent(message.event, message.data);
+            } catch (e) {
+                console.log('\x1b[91m%s\x1b[0m', (e.stack || e.message));
+            }
+        });
+
+        ws.on('close', () => {
+            let index = sockets[bundleId].indexOf(ws);
+            if (index > -1) {
+                sockets[bundleId].splice(index, 1);
+            }
+        });
+    }
+
+    function handleUpgrade (req, socket, head) {
+        let bundleId = hmrPaths.indexOf(url.parse(req.url).pathname);
+
+        if (bundleId === -1) {
+            return false;
+        }
+
+        webSocketServer = webSocketServer || new WebSocket.Server({ noServer: true });
+        webSocketServer.handleUpgrade(req, socket, head, ws => connect(ws, req, bundleId));
+        return true;
+    }
+
+    function messageAllSocketsInBundle (message, bundleId) {
+        if (!options.hot && !options.liveReload) {
+            return;
+        }
+
+        sockets[bundleId].forEach(socket => {
+            socket.send(JSON.stringify(message));
+        });
+    }
+
+    function syncSocket (ws, bundleId, buildId) {
+        let index = builds[bundleId].findIndex(b => b.buildId === buildId);
+
+        if (index === -1) {
+            ws.send(JSON.stringify({ reload: true }));
+            return;
+        }
+
+        let missed = builds[bundleId].slice(index + 1);
+        if (missed.length === 0) {
+            return;
+        }
+
+        // Only the latest change of each module is needed.
+        let changes = new Map();
+        missed.forEach(build => build.changes.forEach(change => {
+            changes.delete(change.id);
+            changes.set(change.id, change);
+        }));
+
+        // Assets keep the url the client has, so renamed assets can still be found.
+        let assets = new Map();
+        missed.forEach(build => build.assets.forEach(asset => {
+            let previous = assets.get(asset.name);
+            assets.set(asset.name, { ...asset, previous: previous? previous.previous : asset.previous });
+        }));
+
+        ws.send(JSON.stringify({ changes: [...changes.values()], buildId: missed[missed.length - 1].buildId }));
+
+        if (assets.size > 0) {
+            ws.send(JSON.stringify({ assets: [...assets.values()] }));
+        }
+    }
+
+    function flushFileListeners () {
+        file_listeners.forEach(fn => fn());
+        file_listeners = [];
+    }
+
+    function flushValidListeners () {
+        valid_listeners.forEach(fn => fn());
+        valid_listeners = [];
+    }
+
+    /**
+     * Files of failing bundles are answered with their error. Other files,
+     * such as scripts in contentBase, are left to the next handler.
+     *
+     * @param {string} filename
+     * @return {Error}
+     */
+    function getFileBuildError (filename) {
+        let index = configs.findIndex((c, i) => {
+            // Bundles without an instance failed while they were created.
+            let failed = bundleErrors[i] || (buildError && !bundles[i]);
+            let known = bundleFiles[i] && bundleFiles[i][filename] !== undefined;
+            return failed && (known || entryFilePatterns[i].some(pattern => pattern.test(filename)));
+        });
+
+        return index === -1? undefined : (bundleErrors[index] || buildError);
+    }
+
+    /**
+     * Changes can arrive while the bundles are compiling, so requests
+     * wait until no build is running, checked for or scheduled.
+     *
+     * @return {boolean}
+     */
+    function isSettled () {
+        return activeBuilds === 0 && pendingInvalidations === 0 && pendingBundles.size === 0 && !watcherTimeout;
+    }
+
+    function reportBuildError (e, bundleId) {
+        console.log('\x1b[91m%s\x1b[0m', (e.stack || e.message));
+
+        if (bundleId !== undefined) {
+            messageAllSocketsInBundle({ error: PluginErrorHandler.getDetails(e) }, bundleId);
+        }
+
+        // Emitting "error" without listeners would throw.
+        if (emitter.listenerCount('error') > 0) {
+            emitter.emit('error', e);
+        }
+    }
+
+    async function generateBundle (i) {
+        const { output } = configs[i]
+        let buildId = buildSession + '.' + (++buildCount);
+
+        if (hmrOptions[i]) {
+            hmrOptions[i].buildId = buildId;
+        }
+
+        let update = await bundles[i].generate(output);
+        let assets = [];
+        let nextFiles = {};
+        let nextAssetFiles = {};
+
+        messageAllSocketsInBundle({ status: 'ready' }, i);
+        update.output.forEach(obj => {
+            let fileName = obj.fileName;
+            if (output.file) {
+                // The source map is served next to the file so that its relative URL resolves.
+                let mapExtension = fileName === path.basename(output.file) + '.map'? '.map' : '';
+
+                if (fileName === path.basename(output.file) + mapExtension) {
+                    fileName = getOutputFileName(output.file, options.contentBase) + mapExtension;
+                }
+            }
+
+            nextFiles[fileName] = obj.isAsset? obj.source : obj.code;
+
+            // Assets are matched by name, as their file name can include a hash of their content.
+            if (obj.isAsset) {
+                let name = obj.name || fileName;
+                let previous = assetFiles[i] && assetFiles[i][name];
+
+                if (previous && (previous.fileName !== fileName || !Buffer.from(previous.source).equals(Buffer.from(obj.source)))) {
+                    assets.push({ name, previous: publicPath + previous.fileName, url: publicPath + fileName });
+                }
+
+                nextAssetFiles[name] = { fileName, source: obj.source };
+            }
+        });
+
+        assetFiles[i] = nextAssetFiles;
+
+        // Files of removed chunks aren't served anymore.
+        bundleFiles[i] = nextFiles;
+        files = Object.assign({}, ...bundleFiles);
+
+        bundleFileStats[i] = {};
+        Object.keys(nextFiles).forEach(fileName => {
+            bundleFileStats[i][fileName] = getFileStats(nextFiles[fileName], fileStats[fileName]);
+        });
+
+        fileStats = Object.assign({}, ...bundleFileStats);
+
+        messageAllSocketsInBundle({ changes: update.changes, buildId }, i);
+
+        if (assets.length > 0) {
+            messageAllSocketsInBundle({ assets }, i);
+        }
+
+        if (builds[i]) {
+            builds[i].push({ buildId, changes: update.changes, assets });
+            builds[i].splice(0, builds[i].length - MAX_BUILD_HISTORY);
+        }
+
+        return update.stats.time;
+    }
+
+    /**
+     * @param {number[]} bundleIds
+     */
+    async function generateBundles (bundleIds) {
+        let compilation_time = 0;
+        let failures = [];
+        isBundling = true;
+        activeBuilds++;
+        emitter.emit('compile');
+
+        // Bundles don't depend on each other, so they're compiled at the same time.
+        await Promise.all(bundleIds.map(async i => {
+            try {
+                let time = await generateBundle(i);
+                delete bundleErrors[i];
+
+                if (compilation_time < time) {
+                    compilation_time = time;
+                }
+            } catch (e) {
+                bundleErrors[i] = e;
+                failures.push({ e, i });
+            }
+        }));
+
+        activeBuilds--;
+
+        // The files are out of date already, so they're served after the next build.
+        if (!isSettled()) {
+            failures.forEach(({ e, i }) => reportBuildError(e, i));
+            return;
+        }
+
+        // A bundle which failed before stays failed until it's fixed.
+        let errors = Object.keys(bundleErrors).map(i => bundleErrors[i]);
+        isBundling = false;
+
+        if (errors.length > 0) {
+            // Queued requests are answered with the last good files, or the error.
+            buildError = errors[0];
+            flushFileListeners();
+            failures.forEach(({ e, i }) => reportBuildError(e, i));
+            return;
+        }
+
+        hasCompiled = true;
+        buildError = undefined;
+        compilationTime = compilation_time;
+        flushFileListeners();
+        flushValidListeners();
+        console.log('\x1b[32m%s\x1b[0m', `[Nollup] Compiled in ${compilation_time}ms.`);
+        emitter.emit('compiled', { time: compilation_time });
+    }
+
+    /**
+     * @return {Object}
+     */
+    function getStatus () {
+        if (isBundling) {
+            return { status: 'compiling' };
+        }
+
+        if (buildError) {
+            return { status: 'error', error: PluginErrorHandler.getDetails(buildError) };
+        }
+
+        return { status: 'ok', time: compilationTime };
+    }
+
+    /**
+     * Every bundle is invalidated, so that plugins can add modules using "nollupHotUpdate",
+     * but only bundles with invalidated modules are compiled again. Bundles which failed
+     * are always compiled again, as the file could be the missing module which caused the error.
+     *
+     * @param {string} [path]
+     * @return {Promise<number[]>}
+     */
+    async function getAffectedBundles (path) {
+        let affected = await Promise.all(bundles.map((bundle, i) => {
+            if (!path || bundleErrors[i]) {
+                return true;
+            }
+
+            // Errors from plugins are thrown when the bundle is generated.
+            return bundle.invalidate(path).then(ids => ids.length > 0, () => true);
+        }));
+
+        return bundles.map((b, i) => i).filter(i => affected[i]);
+    }
+
+    /**
+     * @param {string} [path]
+     */
+    async function rebuild (path) {
+        if (closed) {
+            return;
+        }
+
+        // Requests wait until it's known whether the bundles have to be compiled again.
+        isBundling = true;
+        pendingInvalidations++;
+
+        let bundleIds = await getAffectedBundles(path);
+        pendingInvalidations--;
+
+        if (closed) {
+            return;
+        }
+
+        bundleIds.forEach(i => {
+            messageAllSocketsInBundle({ status: 'check' }, i);
+            pendingBundles.add(i);
+        });
+
+        if (pendingBundles.size === 0) {
+            if (isSettled()) {
+                isBundling = false;
+                flushFileListeners();
+
+                if (!buildError) {
+                    flushValidListeners();
+                }
+            }
+
+            return;
+        }
+
+        if (watcherTimeout) {
+            clearTimeout(watcherTimeout);
+        }
+
+        watcherTimeout = setTimeout(async () => {
+            watcherTimeout = null;
+            let pending = [...pendingBundles];
+            pendingBundles.clear();
+
+            pending.forEach(i => messageAllSocketsInBundle({ status: 'prepare' }, i));
+            generateBundles(pending);
+        }, 100);
+    }
+
+    function onChange (path) {
+        if (fs.lstatSync(path).isFile()) {
+            rebuild(path);
+        }
+    }
+
+    (async function () {
+        try {
+            for (let i = 0; i < configs.length; i++) {
+                let bundle = await nollup(configs[i]);
+                bundle.configure(options); // live-bindings config
+
+                // Plugins can send custom events to the client, and compile virtual modules again.
+                bundle.onHotSend((event, data) => messageAllSocketsInBundle({ event, data }, i));
+                bundle.onHotInvalidate(id => rebuild(id));
+
+                bundles.push(bundle);
+            }
+        } catch (e) {
+            buildError = e;
+            isBundling = false;
+            flushFileListeners();
+            reportBuildError(e);
+            return;
+        }
+
+        if (!closed) {
+            watcher = createFileWatcher(configs, options.watch, onChange);
+            generateBundles(bundles.map((b, i) => i));
+        }
+    })();
+
+    return Object.assign(emitter, {
+        hmrPaths,
+        connect,
+        handleUpgrade,
+
+        attach (server) {
+            server.on('upgrade', handleUpgrade);
+            attachedServers.push(server);
+        },
+
+        /**
+         * Calls the callback once the bundles have compiled successfully.
+         *
+         * @param {function} [callback]
+         * @return {Promise}
+         */
+        waitUntilValid (callback) {
+            return new Promise(resolve => {
+                let done = () => {
+                    if (callback) {
+                        callback();
+                    }
+
+                    resolve();
+                };
+
+                if ((isBundling || buildError) && !closed) {
+                    valid_listeners.push(done);
+                } else {
+                    done();
+                }
+            });
+        },
+
+        /**
+         * Compiles the bundles again. If a file is passed, its modules are invalidated first,
+         * and only the bundles it affects are compiled.
+         *
+         * @param {string} [path]
+         */
+        invalidate (path) {
+            rebuild(path);
+        },
+
+        /**
+         * @return {Object<string, string|Uint8Array>}
+         */
+        getFiles () {
+            return Object.assign({}, files);
+        },
+
+        getStatus,
+
+        /**
+         * Stops watching files, and closes the HMR connections.
+         * Requests waiting for a build are passed on to the next handler.
+         *
+         * @return {Promise}
+         */
+        async close () {
+            if (closed) {
+                return;
+            }
+
+            closed = true;
+            clearTimeout(watcherTimeout);
+
+            Object.keys(sockets).forEach(bundleId => {
+                sockets[bundleId].slice().forEach(ws => ws.close());
+                sockets[bundleId] = [];
+            });
+
+            attachedServers.forEach(server => server.removeListener('upgrade', handleUpgrade));
+            attachedServers = [];
+
+            if (webSocketServer) {
+                webSocketServer.close();
+            }
+
+            flushFileListeners();
+            flushValidListeners();
+            bundles.forEach(bundle => bundle.close());
+
+            if (watcher) {
+                await watcher.close();
+            }
+
+            emitter.emit('close');
+        },
+
+        handleRequest (req, res) {
+            return new Promise(resolve => {
+                let impl = () => {
+                    let fullPath = url.parse(req.url).pathname;
+
+                    if (fullPath === STATUS_PATH) {
+                        res.writeHead(200, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+                        res.write(JSON.stringify(getStatus()));
+                        res.end();
+                        return resolve(true);
+                    }
+
+                    if (!fullPath.startsWith(publicPath)) {
+                        return resolve(false);
+                    }
+
+                    let filename = fullPath.replace(publicPath, '');
+
+                    if (closed) {
+                        return resolve(false);
+                    }
+
+                    if (isBundling) {
+                        file_listeners.push(impl);
+                        return;
+                    }
+
+                    if (filename === '') {
+                        filename = 'index.html';
+                    }
+
+                    if (files[filename]) {
+                        const type = mime.lookup(filename);
+                        let stats = fileStats[filename];
+                        let headers = {
+                            'Cache-Control': getCacheControl(filename),
+                            'ETag': stats.etag,
+                            'Last-Modified': stats.lastModified.toUTCString(),
+                            'Accept-Ranges': 'bytes'
+                        };
+
+                        if (type) {
+                            headers['Content-Type'] = type;
+                        }
+
+                        writeFileResponse(req, res, files[filename], stats, Object.assign(headers, options.headers));
+                        resolve(true);
+                    } else if (buildError && /\.m?js$/.test(filename) && getFileBuildError(filename)) {
+                        writeErrorResponse(res, filename, PluginErrorHandler.getDetails(getFileBuildError(filename)));
+                        resolve(true);
+                    } else if (buildError && !hasCompiled && acceptsHTML(req)) {
+                        writeErrorResponse(res, filename, PluginErrorHandler.getDetails(buildError));
+                        resolve(true);
+                    } else {
+                        resolve(false);
+                    }
+                }
+
+                impl();
+            });
+        }
+    });
+}
+
+module.exports = { createDevMiddlewareCore };
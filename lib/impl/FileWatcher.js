@@ -0,0 +1,62 @@
+// @ts-check
+let chokidar = require('chokidar');
+let { createFilter } = require('@rollup/pluginutils');
+
+/**
+ * @param {RollupOptions[]} configs
+ * @param {'include'|'exclude'} key
+ * @return {string[]}
+ */
+function getWatchPatterns (configs, key) {
+    return configs.reduce((acc, config) => {
+        let watch = /** @type {Object} */ (config.watch);
+
+        if (watch && watch[key]) {
+            if (Array.isArray(watch[key])) {
+                acc = acc.concat(watch[key]);
+            } else {
+                acc.push(watch[key]);
+            }
+        }
+
+        return acc;
+    }, []);
+}
+
+/**
+ * Watches for added and changed files, respecting the
+ * watch.include and watch.exclude options of the configs.
+ *
+ * @param {RollupOptions[]} configs
+ * @param {string} watchPath
+ * @param {function(string): void} onChange
+ * @return {Object}
+ */
+function createFileWatcher (configs, watchPath, onChange) {
+    // Exclude these directories
+    let watchExclude = getWatchPatterns(configs, 'exclude');
+
+    // Limit to these directories only
+    let watchInclude = getWatchPatterns(configs, 'include');
+
+    let filter = createFilter(watchInclude, watchExclude);
+
+    let watcher = chokidar.watch(watchPath || process.cwd(), {
+        ignoreInitial: true,
+        // Using a function improves performance when using symlink package managers - Issue #63
+        ignored: path => {
+            if (watchExclude.length > 0 || watchInclude.length > 0) {
+                return !filter(path);
+            } else {
+                return path.includes('/node_modules/') || path.includes('/.git/');
+            }
+        }
+    });
+
+    watcher.on('add', onChange);
+    watcher.on('change', onChange);
+
+    return watcher;
+}
+
+module.exports = { createFileWatcher };
@@ -0,0 +1,331 @@
+// @ts-check
+let fs = require('fs');
+let path = require('path');
+let crypto = require('crypto');
+
+const NOLLUP_VERSION = require('../../package.json').version;
+const DEFAULT_CACHE_DIR = 'node_modules/.cache/nollup';
+
+// Rebuilds write the cache once they've settled, instead of on every change.
+const SAVE_DELAY = 1000;
+
+// Installing or upgrading packages, such as plugins, changes one of these.
+const LOCK_FILES = ['package-lock.json', 'node_modules/.package-lock.json', 'yarn.lock', 'pnpm-lock.yaml'];
+
+// Unsaved entries are written when the process is stopped with these.
+const EXIT_SIGNALS = ['SIGINT', 'SIGTERM'];
+
+// Properties of the internal module that are restored from the cache.
+// Index and invalidate are runtime state, so they're never persisted.
+const CACHED_PROPS = [
+    'imports', 'externalImports', 'dynamicImports', 'externalDynamicImports',
+    'exports', 'map', 'metaProperties', 'syntheticNamedExports'
+];
+
+/**
+ * @param {string|Buffer} content
+ * @return {string}
+ */
+function getHash (content) {
+    return crypto.createHash('sha1').update(content).digest('hex');
+}
+
+/**
+ * @param {string} filePath
+ * @return {string}
+ */
+function getFileHash (filePath) {
+    if (!path.isAbsolute(filePath) || !fs.existsSync(filePath)) {
+        return undefined;
+    }
+
+    return getHash(fs.readFileSync(filePath));
+}
+
+/**
+ * Assets can be emitted as binary, which JSON can't represent.
+ *
+ * @param {Object<string, RollupEmittedAsset>} assets
+ * @param {function(string|Uint8Array): any} transform
+ * @return {Object<string, RollupEmittedAsset>}
+ */
+function mapAssetSources (assets, transform) {
+    return Object.keys(assets).reduce((acc, referenceId) => {
+        acc[referenceId] = { ...assets[referenceId], source: transform(assets[referenceId].source) };
+        return acc;
+    }, {});
+}
+
+/**
+ * @param {string|Uint8Array} source
+ * @return {string|{ base64: string }}
+ */
+function serializeSource (source) {
+    if (source instanceof Uint8Array) {
+        return { base64: Buffer.from(source).toString('base64') };
+    }
+
+    return source;
+}
+
+/**
+ * @param {string|{ base64: string }} source
+ * @return {string|Uint8Array}
+ */
+function deserializeSource (source) {
+    if (source && typeof source === 'object' && source.base64 !== undefined) {
+        return new Uint8Array(Buffer.from(source.base64, 'base64'));
+    }
+
+    return /** @type {string} */ (source);
+}
+
+/**
+ * Functions and regular expressions are included using their source.
+ *
+ * @param {any} value
+ * @return {string}
+ */
+function serializeOption (value) {
+    return JSON.stringify(value, (key, val) => {
+        if (typeof val === 'function' || val instanceof RegExp) {
+            return val.toString();
+        }
+
+        return val;
+    });
+}
+
+/**
+ * Plugins are identified by their properties and the code of their hooks,
+ * so that upgrading a plugin without a version also discards the old entries.
+ *
+ * @param {RollupPlugin} plugin
+ * @return {string}
+ */
+function serializePlugin (plugin) {
+    try {
+        return serializeOption(plugin);
+    } catch (e) {
+        // Plugins can hold state which JSON can't represent, such as circular references.
+        return serializeOption([plugin.name || '', /** @type {any} */ (plugin).version || '']);
+    }
+}
+
+/**
+ * @param {string|boolean} cacheDir
+ * @return {string}
+ */
+function resolveCacheDir (cacheDir) {
+    return path.resolve(process.cwd(), typeof cacheDir === 'string'? cacheDir : DEFAULT_CACHE_DIR);
+}
+
+class NollupCache {
+    /**
+     * @param {string|boolean} cacheDir
+     * @param {string} [configFile]
+     */
+    constructor (cacheDir, configFile) {
+        this.dir = resolveCacheDir(cacheDir);
+        this.configFile = configFile? path.resolve(process.cwd(), configFile) : undefined;
+        this.file = /** @type {string} */ (null);
+        this.entries = /** @type {Object<string, NollupCacheEntry>} */ ({});
+        this.loaded = false;
+        this.dirty = false;
+        this.saved = false;
+        this.saveTimeout = /** @type {any} */ (null);
+
+        this.onExit = () => this.flush();
+
+        /** @param {string} signal */
+        this.onSignal = signal => {
+            this.flush();
+
+            // Listening to a signal stops the process from exiting, unless it's sent again.
+            if (process.listenerCount(signal) === 0) {
+                process.kill(process.pid, signal);
+            }
+        };
+    }
+
+    /**
+     * Reads the cache file for the current plugin setup.
+     * Changing plugins, their installed versions, the config file,
+     * the input options which affect how modules are resolved,
+     * or compiler options will point to a different file,
+     * discarding the old entries.
+     *
+     * @param {import('./RollupConfigContainer')} config
+     * @param {Boolean|String} liveBindings
+     */
+    load (config, liveBindings) {
+        let fingerprint = getHash(JSON.stringify({
+            nollup: NOLLUP_VERSION,
+            external: serializeOption(config.external),
+            context: serializeOption(config.context),
+            moduleContext: serializeOption(config.moduleContext),
+            plugins: config.plugins.map(serializePlugin),
+            packages: LOCK_FILES.map(file => getFileHash(path.resolve(process.cwd(), file)) || ''),
+            // Plugin options are usually only kept in the plugin's closure, but they're in the config file.
+            configFile: this.configFile? getFileHash(this.configFile) || '' : '',
+            liveBindings: liveBindings
+        }));
+
+        this.file = path.join(this.dir, fingerprint + '.json');
+        this.entries = {};
+        this.loaded = true;
+
+        if (fs.existsSync(this.file)) {
+            try {
+                this.entries = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            } catch (e) {
+                // Corrupt cache files are ignored and overwritten on the next save.
+                this.entries = {};
+            }
+        }
+    }
+
+    /**
+     * Returns the cached entry only if the file and any of
+     * the files it added as watch files are unchanged on disk.
+     *
+     * @param {string} filePath
+     * @return {NollupCacheEntry}
+     */
+    get (filePath) {
+        let entry = this.entries[filePath];
+
+        if (!entry || entry.hash !== getFileHash(filePath)) {
+            return undefined;
+        }
+
+        for (let watchFile in entry.watchFiles) {
+            if (entry.watchFiles[watchFile] !== getFileHash(watchFile)) {
+                return undefined;
+            }
+        }
+
+        return {
+            ...entry,
+            emittedAssetsCache: mapAssetSources(entry.emittedAssetsCache, deserializeSource)
+        };
+    }
+
+    /**
+     * @param {string} filePath
+     * @param {NollupInternalModule} file
+     * @param {string} code
+     * @param {string[]} watchFiles
+     * @param {Object} meta
+     */
+    set (filePath, file, code, watchFiles, meta) {
+        let hash = getFileHash(filePath);
+
+        // Virtual modules have nothing on disk to validate against.
+        if (!hash) {
+            delete this.entries[filePath];
+            return;
+        }
+
+        let entry = /** @type {NollupCacheEntry} */ ({
+            hash: hash,
+            code: code,
+            watchFiles: watchFiles.reduce((acc, watchFile) => {
+                acc[watchFile] = getFileHash(watchFile);
+                return acc;
+            }, {}),
+            emittedAssetsCache: mapAssetSources(file.emittedAssetsCache, serializeSource),
+            emittedChunksCache: file.emittedChunksCache,
+            meta: meta
+        });
+
+        CACHED_PROPS.forEach(prop => {
+            entry[prop] = file[prop];
+        });
+
+        this.entries[filePath] = entry;
+        this.dirty = true;
+    }
+
+    /**
+     * @param {NollupInternalModule} file
+     * @param {NollupCacheEntry} entry
+     */
+    apply (file, entry) {
+        CACHED_PROPS.forEach(prop => {
+            file[prop] = entry[prop];
+        });
+
+        file.code = entry.code;
+        file.emittedAssetsCache = entry.emittedAssetsCache;
+        file.emittedChunksCache = entry.emittedChunksCache;
+    }
+
+    /**
+     * The first build is written straight away.
+     * Later builds are written once no changes have been made for a while.
+     */
+    save () {
+        if (!this.loaded || !this.dirty) {
+            return;
+        }
+
+        if (!this.saved) {
+            this.flush();
+            return;
+        }
+
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+        } else {
+            process.on('exit', this.onExit);
+            EXIT_SIGNALS.forEach(signal => process.on(signal, this.onSignal));
+        }
+
+        this.saveTimeout = setTimeout(() => this.flush(), SAVE_DELAY);
+
+        // Pending writes shouldn't keep the process alive, they're written on exit instead.
+        this.saveTimeout.unref();
+    }
+
+    /**
+     * Writes unsaved entries to disk.
+     */
+    flush () {
+        if (this.saveTimeout) {
+            clearTimeout(this.saveTimeout);
+            this.saveTimeout = null;
+            process.removeListener('exit', this.onExit);
+            EXIT_SIGNALS.forEach(signal => process.removeListener(signal, this.onSignal));
+        }
+
+        if (!this.loaded || !this.dirty) {
+            return;
+        }
+
+        fs.mkdirSync(this.dir, { recursive: true });
+        fs.writeFileSync(this.file, JSON.stringify(this.entries));
+        this.dirty = false;
+        this.saved = true;
+    }
+
+    /**
+     * Removes all cache files from the cache directory.
+     * Other files in the directory are left untouched.
+     *
+     * @param {string|boolean} cacheDir
+     */
+    static clear (cacheDir) {
+        let dir = resolveCacheDir(cacheDir);
+
+        if (!fs.existsSync(dir)) {
+            return;
+        }
+
+        fs.readdirSync(dir).filter(file => file.endsWith('.json')).forEach(file => {
+            fs.unlinkSync(path.join(dir, file));
+        });
+    }
+}
+
+module.exports = NollupCache;
@@ -5,6 +5,7 @@ let NollupContext = require('./NollupContext');
 const PluginContainer = require('./PluginContainer');
 const RollupConfigContainer = require('./RollupConfigContainer');
 let MagicString = require('magic-string').default;
+let SourceMap = require('source-map');
 
 
 /**
@@ -23,10 +24,84 @@ function blanker (input, start, end) {
     return input.substring(start, end).replace(/[^\n\r]/g, ' ');
 }
 
+// Stands in for the modules while the chunk is wrapped, so their offsets can be found.
+const MODULES_PLACEHOLDER = '__nollup__chunk__modules__';
+
+// Surround the module code when it's placed in the chunk without eval.
+const MODULE_CODE_START = '{ /* module start */\n';
+const MODULE_CODE_END = '\n} /* module end */';
+
+/**
+ * Turns the module code into an eval statement with its own
+ * source map and source URL, so each module shows up as its own
+ * file in the browser debugger. Line breaks and quotes are escaped
+ * using a multiline approach so that the compiled code is still
+ * readable for advanced debugging situations.
+ *
+ * @param {string} code 
+ * @param {RollupSourceMap} map 
+ * @param {string} sourcePath 
+ * @return {string}
+ */
+function getModuleEval (code, map, sourcePath) {
+    code = code
+            .replace(/\\/g, '\\\\')
+            .replace(/'/g, '\\\'')
+            .replace(/(\r)?\n/g, '\\n\\\n');
+
+    // Append source mapping information
+    code += '\\\n';
+
+    if (map) {
+        map.sourceRoot = 'nollup:///';
+        map.sources[map.sources.length - 1] = sourcePath;
+        code += `${ConvertSourceMap.fromObject(map).toComment()}\\n`;
+    } 
+    
+    code += `\\n//# sourceURL=nollup-int:///${sourcePath}`;
+    return `eval('${code}');`;
+}
+
 function normalizePathDelimiter (id) {
     return id.replace(/\\/g, '/');
 }
 
+/**
+ * @param {string} code 
+ * @return {number[]}
+ */
+function getLineOffsets (code) {
+    let offsets = [0];
+
+    for (let i = 0; i < code.length; i++) {
+        if (code[i] === '\n') {
+            offsets.push(i + 1);
+        }
+    }
+
+    return offsets;
+}
+
+/**
+ * @param {number[]} offsets 
+ * @param {number} offset 
+ * @return {number}
+ */
+function getLineFromOffset (offsets, offset) {
+    let low = 0, high = offsets.length - 1;
+
+    while (low < high) {
+        let mid = Math.ceil((low + high) / 2);
+        if (offsets[mid] <= offset) {
+            low = mid;
+        } else {
+            high = mid - 1;
+        }
+    }
+
+    return low;
+}
+
 /**
  * 
  * @param {boolean|string} synthetic 
@@ -44,13 +119,6 @@ function getSyntheticExports (synthetic) {
     }`
 }
 
-/** @type {MagicString} */
-let activeESMOutput;
-
-/** @type {string} */
-let activeESMCode;
-
-
 /**
  * @param {string} id
  * @param {NollupInternalModuleImport} i 
@@ -78,6 +146,20 @@ function getExportFrom (s, namespace, local, exportAs) {
 
 
 
+/**
+ * Formats which load the chunk through a module loader.
+ * External imports are passed into the chunk by the loader.
+ */
+const LOADER_FORMATS = ['amd', 'umd', 'system'];
+
+/**
+ * @param {string} source 
+ * @return {string}
+ */
+function getExternalName (source) {
+    return source.replace(/[\W]/g, '_');
+}
+
 /**
  * @param {RollupRenderedChunk} chunk 
  * @param {RollupOutputOptions} outputOptions 
@@ -88,9 +170,21 @@ function createExternalImports (chunk, outputOptions) {
     let { format, globals } = outputOptions;
 
     output += chunk.imports.map(source => {
-        let name = source.replace(/[\W]/g, '_');
+        let name = getExternalName(source);
         let specifiers = chunk.importedBindings[source];
 
+        if (LOADER_FORMATS.indexOf(format) > -1) {
+            // The loader passes the external in as __nollup__external__name__.
+            let namespace = `__nollup__external__${name}__`;
+
+            return specifiers.filter(s => s !== '*').map(s => {
+                if (s === 'default') 
+                    return `var ${namespace}default__ = ${namespace} && Object.prototype.hasOwnProperty.call(${namespace}, 'default')? ${namespace}.default : ${namespace};`;
+
+                return `var ${namespace}${s}__ = ${namespace}.${s};`;
+            }).join('\n');
+        }
+
         // Bare external import
         if (specifiers.length === 0) {
             if (format === 'es') 
@@ -132,6 +226,143 @@ function createExternalImports (chunk, outputOptions) {
     return output;
 }
 
+/**
+ * Assigns the entry exports to "output.name" on the global object.
+ * Dotted names create the namespace objects leading up to the name,
+ * and "output.extend" adds the exports to an existing object instead of replacing it.
+ *
+ * @param {string} global 
+ * @param {RollupOutputOptions} outputOptions 
+ * @param {string} exportsObject 
+ * @param {string} exportsValue 
+ * @return {string}
+ */
+function createGlobalAssignment (global, outputOptions, exportsObject, exportsValue) {
+    let parts = outputOptions.name.split('.');
+    let target = global;
+
+    let output = parts.slice(0, -1).map(part => {
+        target += '.' + part;
+        return `${target} = ${target} || {};`;
+    });
+
+    target += '.' + parts[parts.length - 1];
+
+    if (outputOptions.extend) {
+        output.push(`${target} = Object.assign(${target} || {}, ${exportsObject});`);
+    } else {
+        output.push(`${target} = ${exportsValue};`);
+    }
+
+    return output.join('\n');
+}
+
+/**
+ * Wraps the chunk in the module definition for loader formats,
+ * and publishes the exports of IIFE entries on the global object.
+ * Inside the wrapper, "__nollup__load__" loads other chunks of the bundle.
+ *
+ * @param {RollupRenderedChunk} chunk 
+ * @param {RollupOutputOptions} outputOptions 
+ * @param {string} body 
+ * @return {string}
+ */
+function createFormatWrapper (chunk, outputOptions, body) {
+    let { format, globals } = outputOptions;
+    let sources = chunk.imports;
+    let args = sources.map(source => `__nollup__external__${getExternalName(source)}__`);
+    let amdId = !chunk.isDynamicEntry && outputOptions.amd && outputOptions.amd.id;
+    let amdDeps = JSON.stringify(['require'].concat(sources));
+    let hasExports = !chunk.isDynamicEntry && chunk.exports.length > 0;
+
+    // Same as CommonJS, if there's only a default export, it becomes the export of the chunk.
+    let defaultOnly = chunk.exports.length === 1 && chunk.exports[0] === 'default';
+    let getValue = exports => defaultOnly? exports + '.default' : exports;
+
+    let amdLoader = `function (file) {
+        return new Promise(function (resolve, reject) {
+            __nollup__require__([file.replace(/\\.js$/, '')], resolve, reject);
+        });
+    }`;
+
+    if (format === 'iife') {
+        if (!hasExports || !outputOptions.name) {
+            return body;
+        }
+
+        let assignment = (outputOptions.name.indexOf('.') === -1 && !outputOptions.extend)?
+            `var ${outputOptions.name} = ${getValue('__nollup_entry_exports')};` :
+            createGlobalAssignment('this', outputOptions, '__nollup_entry_exports', getValue('__nollup_entry_exports'));
+
+        return body + '\n' + assignment;
+    }
+
+    if (format === 'amd') {
+        return `
+            define(${amdId? `'${amdId}', ` : ''}${amdDeps}, function (${['__nollup__require__'].concat(args).join(', ')}) {
+                var __nollup__load__ = ${amdLoader};
+                ${body}
+                ${hasExports? `return ${getValue('__nollup_entry_exports')};` : ''}
+            });
+        `;
+    }
+
+    if (format === 'umd') {
+        let globalArgs = sources.map(source => 'global.' + (globals[source] || getExternalName(source)));
+        let globalName = hasExports && outputOptions.name;
+
+        return `
+            (function (global, factory) {
+                if (typeof exports === 'object' && typeof module !== 'undefined') {
+                    var exported = factory(${['function (file) { return Promise.resolve().then(function () { return require(file); }); }'].concat(sources.map(s => `require('${s}')`)).join(', ')});
+                    ${hasExports? `module.exports = ${getValue('exported')};` : ''}
+                } else if (typeof define === 'function' && define.amd) {
+                    define(${amdId? `'${amdId}', ` : ''}${amdDeps}, function (__nollup__require__) {
+                        var exported = factory.apply(this, [${amdLoader}].concat(Array.prototype.slice.call(arguments, 1)));
+                        ${hasExports? `return ${getValue('exported')};` : ''}
+                    });
+                } else {
+                    global = typeof globalThis !== 'undefined'? globalThis : global || self;
+                    var base = typeof document !== 'undefined' && document.currentScript && document.currentScript.src;
+                    var exported = factory(${['function (file) { ' +
+                        'return new Promise(function (resolve, reject) { ' +
+                            'var script = document.createElement(\'script\'); ' + 
+                            'script.src = base? new URL(file, base).href : file; ' +
+                            'script.onload = resolve; ' +
+                            'script.onerror = reject; ' +
+                            'document.head.appendChild(script); ' +
+                        '}); ' +
+                    '}'].concat(globalArgs).join(', ')});
+                    ${globalName? createGlobalAssignment('global', outputOptions, 'exported', getValue('exported')) : ''}
+                }
+            })(this, function (${['__nollup__load__'].concat(args).join(', ')}) {
+                ${body}
+                ${hasExports? 'return __nollup_entry_exports;' : ''}
+            });
+        `;
+    }
+
+    if (format === 'system') {
+        return `
+            System.register(${JSON.stringify(sources)}, function (__nollup__export__, __nollup__system__) {
+                ${args.length > 0? `var ${args.join(', ')};` : ''}
+                return {
+                    setters: [${args.map(arg => `function (m) { ${arg} = m; }`).join(', ')}],
+                    execute: function () {
+                        var __nollup__load__ = function (file) {
+                            return __nollup__system__.import(file);
+                        };
+                        ${body}
+                        ${hasExports? '__nollup__export__(__nollup_entry_exports);' : ''}
+                    }
+                };
+            });
+        `;
+    }
+
+    return body;
+}
+
 /**
  * @param {NollupPlugin[]} plugins
  * @return {string}
@@ -185,6 +416,25 @@ class NollupCodeGenerator {
 
     constructor (options = {}) {
         this.liveBindings = options.liveBindings || false;
+
+        /** @type {MagicString} */
+        this.__esmOutput = null;
+
+        /** @type {string} */
+        this.__esmCode = null;
+
+        /** @type {WeakMap<RollupOutputChunk, Object<string, number>>} */
+        this.__moduleOffsets = new WeakMap();
+    }
+
+    /**
+     * The ESM transform state is stored on the instance.
+     * Modules transformed at the same time need their own generator.
+     *
+     * @return {NollupCodeGenerator}
+     */
+    fork () {
+        return new NollupCodeGenerator({ liveBindings: this.liveBindings });
     }
 
     /**
@@ -193,8 +443,8 @@ class NollupCodeGenerator {
      * @param {ESTree} ast 
      */
     onESMEnter (code, filePath, ast) {
-        activeESMOutput = new MagicString(code);
-        activeESMCode = code;
+        this.__esmOutput = new MagicString(code);
+        this.__esmCode = code;
     }
 
     /**
@@ -203,23 +453,23 @@ class NollupCodeGenerator {
      */
     onESMNodeFound (node, args) {
         if (node.type === 'ImportDeclaration' || (args && args.source)) {
-            activeESMOutput.overwrite(node.start, node.end, blanker(activeESMCode, node.start, node.end));
+            this.__esmOutput.overwrite(node.start, node.end, blanker(this.__esmCode, node.start, node.end));
             return;
         } 
         
         if (node.type === 'ExportDefaultDeclaration') {
             // Account for "export default function" and "export default(()=>{})"
-            let offset = activeESMCode[node.start + 14] === ' '? 15 : 14;
+            let offset = this.__esmCode[node.start + 14] === ' '? 15 : 14;
 
             if (node.declaration && node.declaration.id) {
                 // Using + 15 to avoid "export default (() => {})" being converted
                 // to "module.exports.default = () => {})"
-                activeESMOutput.overwrite(node.start, node.start + offset, '', { contentOnly: true });
-                activeESMOutput.appendRight(node.declaration.end, `; __e__('default', function () { return ${node.declaration.id.name} });`);
+                this.__esmOutput.overwrite(node.start, node.start + offset, '', { contentOnly: true });
+                this.__esmOutput.appendRight(node.declaration.end, `; __e__('default', function () { return ${node.declaration.id.name} });`);
             } else {
-                activeESMOutput.overwrite(node.start, node.start + offset, `var __ex_default__ = `, { contentOnly: true });
-                let end = activeESMCode[node.end - 1] === ';'? node.end - 1 : node.end;
-                activeESMOutput.appendRight(end, `; __e__('default', function () { return __ex_default__ });`);
+                this.__esmOutput.overwrite(node.start, node.start + offset, `var __ex_default__ = `, { contentOnly: true });
+                let end = this.__esmCode[node.end - 1] === ';'? node.end - 1 : node.end;
+                this.__esmOutput.appendRight(end, `; __e__('default', function () { return __ex_default__ });`);
             }
 
             return;
@@ -228,31 +478,31 @@ class NollupCodeGenerator {
         if (node.type === 'ExportNamedDeclaration') {
             if (node.declaration) {
                 // Remove 'export' keyword.
-                activeESMOutput.overwrite(node.start, node.start + 7, '', { contentOnly: true });
+                this.__esmOutput.overwrite(node.start, node.start + 7, '', { contentOnly: true });
                 let specifiers = '; ' + args.map(e => `__e__('${e.exported}', function () { return ${e.local} });`).join('');
-                activeESMOutput.appendRight(node.end, specifiers);
+                this.__esmOutput.appendRight(node.end, specifiers);
             } 
 
             if (!node.declaration && node.specifiers) {
                 if (!node.source) {
                     // Export from statements are already blanked by the import section.
-                    activeESMOutput.overwrite(node.start, node.start + 6, '__e__(', { contentOnly: true });
+                    this.__esmOutput.overwrite(node.start, node.start + 6, '__e__(', { contentOnly: true });
                     node.specifiers.forEach(spec => {
                         // { a as b, c }, need to preserve the variable incase it's from an import statement
                         // This is important for live bindings to be able to be transformed.
-                        activeESMOutput.prependLeft(spec.local.start, spec.exported.name + ': function () { return ');
+                        this.__esmOutput.prependLeft(spec.local.start, spec.exported.name + ': function () { return ');
 
                         if (spec.local.start !== spec.exported.start) {
-                            activeESMOutput.overwrite(spec.local.end, spec.exported.end, '', { contentOnly: true });
+                            this.__esmOutput.overwrite(spec.local.end, spec.exported.end, '', { contentOnly: true });
                         }
 
-                        activeESMOutput.appendRight(spec.exported.end, ' }');
+                        this.__esmOutput.appendRight(spec.exported.end, ' }');
                     });
 
-                    if (activeESMCode[node.end - 1] === ';') {
-                        activeESMOutput.prependLeft(node.end - 1, ')');
+                    if (this.__esmCode[node.end - 1] === ';') {
+                        this.__esmOutput.prependLeft(node.end - 1, ')');
                     } else {
-                        activeESMOutput.appendRight(node.end, ');')
+                        this.__esmOutput.appendRight(node.end, ');')
 
                     }
 
@@ -266,8 +516,8 @@ class NollupCodeGenerator {
             if (!args.external) {
                 if (typeof args.resolved.id === 'string' && path.isAbsolute(args.resolved.id)) {
                     // import('hello') --> require.dynamic('/hello.js');
-                    activeESMOutput.overwrite(node.start, node.start + 6, 'require.dynamic', { contentOnly: true });
-                    activeESMOutput.overwrite(node.source.start, node.source.end, '\'' + normalizePathDelimiter(args.resolved.id) + '\'', { contentOnly: true });
+                    this.__esmOutput.overwrite(node.start, node.start + 6, 'require.dynamic', { contentOnly: true });
+                    this.__esmOutput.overwrite(node.source.start, node.source.end, '\'' + normalizePathDelimiter(args.resolved.id) + '\'', { contentOnly: true });
                 }
             }
         } 
@@ -276,10 +526,10 @@ class NollupCodeGenerator {
     onESMImportLiveBinding (node, ancestors) {
         let parent = ancestors[ancestors.length - 1];
         if (parent.type === 'Property' && parent.shorthand) {
-            activeESMOutput.prependLeft(node.start, node.name + ': ');
+            this.__esmOutput.prependLeft(node.start, node.name + ': ');
         }
 
-        activeESMOutput.overwrite(node.start, node.end, '__i__.' + node.name, { contentOnly: true })
+        this.__esmOutput.overwrite(node.start, node.end, '__i__.' + node.name, { contentOnly: true })
 
     }
 
@@ -289,7 +539,7 @@ class NollupCodeGenerator {
      */
     onESMLateInitFound (node, found) {
         let transpiled = ';' + found.map(name => `__e__('${name}', function () { return typeof ${name} !== 'undefined' && ${name} })`).join(';') + ';';
-        activeESMOutput.appendRight(node.end, transpiled);
+        this.__esmOutput.appendRight(node.end, transpiled);
     }
 
     /**
@@ -300,8 +550,8 @@ class NollupCodeGenerator {
      */
     onESMLeave (code, filePath, ast) {
         return {
-            code: activeESMOutput.toString(),
-            map: activeESMOutput.generateMap({ source: filePath })
+            code: this.__esmOutput.toString(),
+            map: this.__esmOutput.generateMap({ source: filePath })
         };
     }
 
@@ -321,29 +571,17 @@ class NollupCodeGenerator {
             }
         });
         
-        // Turning the code into eval statements, so we need
-        // to escape line breaks and quotes. Using a multiline
-        // approach here so that the compiled code is still
-        // readable for advanced debugging situations.
-        code = code
-                .replace(/\\/g, '\\\\')
-                .replace(/'/g, '\\\'')
-                .replace(/(\r)?\n/g, '\\n\\\n');
-
-
         // Transform the source path so that they display well in the browser debugger.
         let sourcePath = path.relative(process.cwd(), filePath).replace(/\\/g, '/');
 
-        // Append source mapping information
-        code += '\\\n';
-
-        if (map) {
-            map.sourceRoot = 'nollup:///';
-            map.sources[map.sources.length - 1] = sourcePath;
-            code += `${ConvertSourceMap.fromObject(map).toComment()}\\n`;
-        } 
-        
-        code += `\\n//# sourceURL=nollup-int:///${sourcePath}`;
+        if (config.output.sourcemap) {
+            // The chunk source map covers the module code, so the code is placed
+            // as is in the chunk for stack frames to point to the chunk file.
+            // The block allows the module to declare "require" and "module".
+            code = MODULE_CODE_START + code + MODULE_CODE_END;
+        } else {
+            code = getModuleEval(code, map, sourcePath);
+        }
 
         let context = (
             config.moduleContext? (
@@ -410,7 +648,7 @@ class NollupCodeGenerator {
                 }, function (require, module, __nollup__global__) {
                     ${this.liveBindings === 'with-scope'? 'with (__i__) {' : ''}
                     "use strict";
-                    eval('${code}');
+                    ${code}
                     ${syntheticNamedExports? getSyntheticExports(syntheticNamedExports) : ''} 
                     ${this.liveBindings === 'with-scope'? '}' : ''}
                 }.bind(${context}));
@@ -444,10 +682,11 @@ class NollupCodeGenerator {
     onGenerateModulePreChunk (file, bundle) {
         // Resolve dynamic imports
         if (file.dynamicImports.length > 0) {
-            return file.code.replace(/require\.dynamic\(\\\'(.*?)\\\'\)/g, (match, inner) => {
-                return 'require.dynamic(\\\'' + bundle.find(b => {
+            // The quotes are escaped if the module code is inside of an eval string.
+            return file.code.replace(/require\.dynamic\((\\?)'(.*?)\1'\)/g, (match, escape, inner) => {
+                return 'require.dynamic(' + escape + '\'' + bundle.find(b => {
                     return normalizePathDelimiter(/** @type {RollupOutputChunk} */ (b).facadeModuleId) === inner
-                }).fileName +'\\\')';
+                }).fileName + escape + '\')';
             });
         }
 
@@ -462,28 +701,41 @@ class NollupCodeGenerator {
      * @return {string}
      */
     onGenerateChunk (modules, chunk, outputOptions, config) {
-        let files = Object.keys(chunk.modules).map(filePath => {
+        let offsets = {};
+        let files = '';
+
+        Object.keys(chunk.modules).forEach(filePath => {
             let file = modules[filePath];
-            return file.index + ':' + file.code;
-        });  
+            files += (files? ',' : '') + file.index + ':';
+            offsets[filePath] = files.length;
+            files += file.code;
+        });
 
         let entryIndex = modules[chunk.facadeModuleId].index;
         let { format } = outputOptions;
         let plugins = config.plugins || [];
 
+        let code;
+
         if (chunk.isDynamicEntry) {
-            return `
+            code = createFormatWrapper(chunk, outputOptions, `
                 ${createExternalImports(chunk, outputOptions)}
                 (function (global) {
-                    global.__nollup_dynamic_require_callback("${chunk.fileName}", ${entryIndex}, {${files}});
+                    global.__nollup_dynamic_require_callback("${chunk.fileName}", ${entryIndex}, {${MODULES_PLACEHOLDER}});
                 })(typeof globalThis !== 'undefined'? globalThis : (
                 typeof self !== 'undefined' ? self : this
                 ));
-            `;
+            `);
         } else {
-            return [
+            let hasEntryExports = chunk.exports.length > 0 && (
+                format === 'es' || 
+                LOADER_FORMATS.indexOf(format) > -1 || 
+                (format === 'iife' && outputOptions.name)
+            );
+
+            code = createFormatWrapper(chunk, outputOptions, [
                     createExternalImports(chunk, outputOptions),
-            ` ${(chunk.exports.length > 0 && format === 'es')? 'var __nollup_entry_exports = ' : ''}
+            ` ${hasEntryExports? 'var __nollup_entry_exports = ' : ''}
                 (function (modules, __nollup__global__) {
 
                 function getRelativePath (from, to) {
@@ -659,6 +911,9 @@ class NollupCodeGenerator {
                                 ${format === 'cjs'? (`
                                     return Promise.resolve(require(relative_file)).then(cb);
                                 `) : ''}
+                                ${LOADER_FORMATS.indexOf(format) > -1? (`
+                                    return __nollup__load__(relative_file).then(cb);
+                                `) : ''}
                             }
                         });
                     };
@@ -715,7 +970,7 @@ class NollupCodeGenerator {
                 `}
             })({
                     `,
-                    files.join(','),
+                    MODULES_PLACEHOLDER,
                     `
             }, typeof globalThis !== 'undefined'? globalThis : (
             typeof self !== 'undefined' ? self : this
@@ -729,8 +984,92 @@ class NollupCodeGenerator {
                 }
             }).join('\n') : ''}
                     `,
-            ].join('\n');
+            ].join('\n'));
         }
+
+        // Module code is inserted without replace(), as it could contain replacement patterns.
+        let start = code.indexOf(MODULES_PLACEHOLDER);
+        Object.keys(offsets).forEach(filePath => offsets[filePath] += start);
+        this.__moduleOffsets.set(chunk, offsets);
+
+        return code.substring(0, start) + files + code.substring(start + MODULES_PLACEHOLDER.length);
+    }
+
+    /**
+     * Maps the code of each module in the chunk back to the original sources of the module.
+     * Module code is only placed as is in the chunk when source maps are enabled.
+     *
+     * @param {Object<string, NollupOutputModule>} modules 
+     * @param {Object<string, NollupInternalModule>} files 
+     * @param {RollupOutputChunk} chunk 
+     * @param {number} chunkOffset Where the output of onGenerateChunk starts in the chunk code.
+     * @return {SourceMapGenerator}
+     */
+    onGenerateChunkSourceMap (modules, files, chunk, chunkOffset = 0) {
+        let mapGenerator = new SourceMap.SourceMapGenerator({ file: chunk.fileName });
+        let lineOffsets = getLineOffsets(chunk.code);
+        let moduleOffsets = this.__moduleOffsets.get(chunk) || {};
+
+        Object.keys(chunk.modules).forEach(filePath => {
+            let moduleCode = modules[filePath].code;
+            let codeStart = moduleCode.indexOf(MODULE_CODE_START);
+            let codeEnd = moduleCode.lastIndexOf(MODULE_CODE_END);
+
+            if (moduleOffsets[filePath] === undefined || codeStart === -1 || codeEnd === -1) {
+                return;
+            }
+
+            // Every line of module code is on its own line in the chunk.
+            let start = chunkOffset + moduleOffsets[filePath] + codeStart + MODULE_CODE_START.length;
+            let startLine = getLineFromOffset(lineOffsets, start);
+            let lines = moduleCode.substring(codeStart + MODULE_CODE_START.length, codeEnd).split('\n');
+            let map = files[filePath].map;
+
+            let getGeneratedPosition = (line, column) => {
+                return { line: startLine + line + 1, column };
+            };
+
+            if (!map) {
+                lines.forEach((line, index) => {
+                    mapGenerator.addMapping({
+                        source: filePath,
+                        generated: getGeneratedPosition(index, 0),
+                        original: { line: index + 1, column: 0 }
+                    });
+                });
+
+                return;
+            }
+
+            // The last source is the module itself, which is renamed
+            // when generating the module eval, so the module id is restored here.
+            let consumer = new SourceMap.SourceMapConsumer(Object.assign({}, map, {
+                sourceRoot: undefined,
+                sources: map.sources.map((source, index) => index === map.sources.length - 1? filePath : source)
+            }));
+
+            consumer.eachMapping(mapping => {
+                if (mapping.source === null || mapping.generatedLine > lines.length) {
+                    return;
+                }
+
+                mapGenerator.addMapping({
+                    source: mapping.source,
+                    name: mapping.name || undefined,
+                    generated: getGeneratedPosition(mapping.generatedLine - 1, mapping.generatedColumn),
+                    original: { line: mapping.originalLine, column: mapping.originalColumn }
+                });
+            });
+
+            consumer.sources.forEach(source => {
+                let content = consumer.sourceContentFor(source, true);
+                if (content !== null) {
+                    mapGenerator.setSourceContent(source, content);
+                }
+            });
+        });
+
+        return mapGenerator;
     }
 }
 
@@ -1,21 +1,94 @@
 // @ts-check
 let ImportExportResolver = require('./NollupImportExportResolver');
 let ParseError = require('./ParseError');
-let { getNameFromFileName, emitAssetToBundle, formatFileName } = require('./utils');
+let { getNameFromFileName, emitAssetToBundle, formatFileName, createContentHash } = require('./utils');
 let path = require('path');
 let NollupContext = require('./NollupContext');
 let NollupCodeGenerator = require('./NollupCodeGenerator');
 let PluginContainer = require('./PluginContainer');
+let { combineChunkSourceMap } = require('./PluginUtils');
+
+/**
+ * Finalises the source map of the chunk and references it 
+ * from the chunk depending on the sourcemap output option.
+ *
+ * @param {RollupOutputOptions} outputOptions 
+ * @param {RollupOutputFile[]} bundle 
+ * @param {RollupOutputChunk} chunk 
+ * @param {SourceMapGenerator} mapGenerator 
+ * @param {RollupSourceMap[]} renderMapChain 
+ */
+function applyChunkSourceMap (outputOptions, bundle, chunk, mapGenerator, renderMapChain) {
+    let map = combineChunkSourceMap(mapGenerator, renderMapChain, chunk.fileName);
+    let mapFileName = chunk.fileName + '.map';
+    let outputDir = outputOptions.dir || (outputOptions.file? path.dirname(outputOptions.file) : process.cwd());
+    let mapPath = path.resolve(outputDir, mapFileName);
+
+    map.file = path.basename(chunk.fileName);
+    map.sources = map.sources.map(source => {
+        let relativeSourcePath = path.relative(path.dirname(mapPath), path.resolve(source)).replace(/\\/g, '/');
+        return outputOptions.sourcemapPathTransform? outputOptions.sourcemapPathTransform(relativeSourcePath, mapPath) : relativeSourcePath;
+    });
+
+    if (outputOptions.sourcemapExcludeSources) {
+        delete map.sourcesContent;
+    }
+
+    chunk.map = Object.assign(map, {
+        toString () {
+            return JSON.stringify(this);
+        },
+
+        toUrl () {
+            return 'data:application/json;charset=utf-8;base64,' + Buffer.from(this.toString()).toString('base64');
+        }
+    });
+
+    if (outputOptions.sourcemap === 'inline') {
+        chunk.code += '\n//# sourceMappingURL=' + chunk.map.toUrl();
+        return;
+    }
+
+    if (outputOptions.sourcemap !== 'hidden') {
+        chunk.code += '\n//# sourceMappingURL=' + path.basename(mapFileName);
+    }
+
+    bundle.push({
+        name: path.basename(mapFileName),
+        isAsset: true,
+        type: 'asset',
+        source: chunk.map.toString(),
+        fileName: mapFileName
+    });
+}
+
+/**
+ * @param {RollupOutputChunk} chunk 
+ * @return {RollupPreRenderedChunk}
+ */
+function getPreRenderedChunk (chunk) {
+    return {
+        name: chunk.name,
+        facadeModuleId: chunk.facadeModuleId,
+        isEntry: chunk.isEntry,
+        isDynamicEntry: chunk.isDynamicEntry,
+        isImplicitEntry: chunk.isImplicitEntry,
+        exports: chunk.exports,
+        modules: chunk.modules,
+        type: 'chunk'
+    };
+}
 
 /**
  * @param {RollupOutputOptions} outputOptions 
  * @param {RollupOutputFile[]} bundle
  * @param {Object<string, string>} bundleOutputTypes 
+ * @param {Object<string, string>} bundleHashes
  */
-function applyOutputFileNames (outputOptions, bundle, bundleOutputTypes) {
+function applyOutputFileNames (outputOptions, bundle, bundleOutputTypes, bundleHashes) {
     let name_map = {};
 
-    bundle.forEach(curr => {
+    bundle.filter(curr => curr.type === 'chunk').forEach(curr => {
         if (!name_map[curr.name]) {
             name_map[curr.name] = [];
         }
@@ -32,12 +105,12 @@ function applyOutputFileNames (outputOptions, bundle, bundleOutputTypes) {
                 if (outputOptions.file) {
                     entry.fileName = path.basename(outputOptions.file);
                 } else {
-                    entry.fileName = formatFileName(outputOptions.format, name + '.js', outputOptions.entryFileNames);
+                    entry.fileName = formatFileName(outputOptions.format, name + '.js', outputOptions.entryFileNames, bundleHashes[entry.facadeModuleId], getPreRenderedChunk(entry));
                 }
             }
 
             if (entry.isDynamicEntry || bundleOutputTypes[entry.facadeModuleId] === 'chunk') {
-                entry.fileName = entry.fileName || formatFileName(outputOptions.format, name + '.js', outputOptions.chunkFileNames);
+                entry.fileName = entry.fileName || formatFileName(outputOptions.format, name + '.js', outputOptions.chunkFileNames, bundleHashes[entry.facadeModuleId], getPreRenderedChunk(entry));
             }
         });
     });
@@ -46,30 +119,154 @@ function applyOutputFileNames (outputOptions, bundle, bundleOutputTypes) {
 const FILE_PROPS = ['ROLLUP_FILE_URL_', 'ROLLUP_ASSET_URL_', 'ROLLUP_CHUNK_URL_'];
 
 /**
- * @param {PluginContainer} plugins 
+ * @param {string} metaName 
+ * @return {string}
+ */
+function getMetaPropertyReferenceId (metaName) {
+    let prop = metaName && FILE_PROPS.find(prop => metaName.startsWith(prop));
+    return prop && metaName.replace(prop, '');
+}
+
+/**
+ * Hashes are based on the module code before it's rendered into the chunk,
+ * so they only change when the modules of the chunk change. Chunks and assets
+ * referenced from the chunk have their file names written into the rendered code,
+ * so the hashes of those are included as well.
+ *
+ * @param {NollupContext} context 
+ * @param {RollupOutputFile[]} bundle 
+ * @param {Object<string, RollupOutputFile>} bundleReferenceIdMap 
+ * @return {Object<string, string>}
+ */
+function getChunkHashes (context, bundle, bundleReferenceIdMap) {
+    let chunks = /** @type {RollupOutputChunk[]} */ (bundle.filter(e => e.type === 'chunk'));
+    let contentHashes = {};
+    let references = {};
+
+    chunks.forEach(chunk => {
+        let moduleIds = Object.keys(chunk.modules).sort((a, b) => context.files[a].index - context.files[b].index);
+        let content = [context.config.output.format, context.plugins.hooks.augmentChunkHash(chunk)];
+
+        references[chunk.facadeModuleId] = [];
+
+        moduleIds.forEach(id => {
+            let file = context.files[id];
+            content.push(file.index + ':' + file.code);
+
+            file.dynamicImports.forEach(dynamicImport => {
+                references[chunk.facadeModuleId].push(dynamicImport);
+            });
+
+            file.metaProperties.forEach(metaName => {
+                let entry = bundleReferenceIdMap[getMetaPropertyReferenceId(metaName)];
+
+                if (entry && entry.type === 'asset') {
+                    content.push(entry.fileName);
+                } else if (entry) {
+                    references[chunk.facadeModuleId].push(entry.facadeModuleId);
+                }
+            });
+        });
+
+        contentHashes[chunk.facadeModuleId] = createContentHash(content.join('\n'));
+    });
+
+    return chunks.reduce((acc, chunk) => {
+        let visited = [];
+        let queue = [chunk.facadeModuleId];
+
+        while (queue.length > 0) {
+            let id = queue.shift();
+
+            if (visited.indexOf(id) === -1 && contentHashes[id]) {
+                visited.push(id);
+                queue.push(...references[id]);
+            }
+        }
+
+        acc[chunk.facadeModuleId] = createContentHash(visited.map(id => contentHashes[id]).join(''));
+        return acc;
+    }, {});
+}
+
+/**
+ * Finds the dynamic chunks of the modules which aren't part of any other chunk.
+ * Clients only need to update those modules if they have loaded one of the chunks.
+ *
+ * @param {NollupContext} context 
+ * @param {RollupOutputFile[]} bundle 
+ * @return {Object<string, NollupCompileChangeChunk[]>}
+ */
+function getDynamicChunks (context, bundle) {
+    let chunks = /** @type {RollupOutputChunk[]} */ (bundle.filter(e => e.type === 'chunk'));
+    let staticIds = new Set();
+    let result = {};
+
+    chunks.forEach(chunk => {
+        Object.keys(chunk.modules).forEach(id => {
+            if (!chunk.isDynamicEntry) {
+                staticIds.add(id);
+            } else {
+                result[id] = result[id] || [];
+                result[id].push({ id: context.files[chunk.facadeModuleId].index, fileName: chunk.fileName });
+            }
+        });
+    });
+
+    staticIds.forEach(id => delete result[id]);
+    return result;
+}
+
+/**
+ * import.meta.hot is provided by HMR plugins through module.hot.importMeta.
+ * It receives the ids of the imports of the module, so dependencies can be accepted by their import source.
+ * Without HMR it's undefined, so it can be checked before using it like in other bundlers.
+ *
+ * @param {NollupContext} context 
+ * @param {string} moduleId 
+ * @return {string}
+ */
+function getImportMetaHot (context, moduleId) {
+    let dependencyIds = context.files[moduleId].imports.reduce((acc, dep) => {
+        if (dep.specifier && context.files[dep.source]) {
+            acc[dep.specifier] = context.files[dep.source].index;
+        }
+
+        return acc;
+    }, {});
+
+    let ids = JSON.stringify(dependencyIds);
+
+    // The module code is escaped for eval unless it's placed as is for source maps.
+    if (!context.config.output.sourcemap) {
+        ids = ids.replace(/\\/g, '\\\\').replace(/'/g, '\\\'');
+    }
+    return `(module.hot && module.hot.importMeta? module.hot.importMeta(${ids}) : undefined)`;
+}
+
+/**
+ * @param {NollupContext} context 
  * @param {string} moduleId
  * @param {string} metaName 
  * @param {RollupOutputChunk} chunk 
  * @param {Object<string, RollupOutputFile>} bundleReferenceIdMap 
  * @return {string}
  */
-function resolveImportMetaProperty (plugins, moduleId, metaName, chunk, bundleReferenceIdMap) {
-    if (metaName) {
-        for (let i = 0; i < FILE_PROPS.length; i++) {
-            if (metaName.startsWith(FILE_PROPS[i])) {
-                let id = metaName.replace(FILE_PROPS[i], '');
-                let entry = bundleReferenceIdMap[id];
-                let replacement = plugins.hooks.resolveFileUrl(
-                    metaName,
-                    id,
-                    entry.fileName,
-                    chunk.fileName,
-                    moduleId
-                );
-
-                return replacement || '"' + entry.fileName + '"';
-            }
-        }
+function resolveImportMetaProperty (context, moduleId, metaName, chunk, bundleReferenceIdMap) {
+    let { plugins } = context;
+    let id = getMetaPropertyReferenceId(metaName);
+
+    if (id) {
+        let entry = bundleReferenceIdMap[id];
+        let replacement = plugins.hooks.resolveFileUrl(
+            metaName,
+            id,
+            entry.fileName,
+            chunk.fileName,
+            moduleId
+        );
+
+        return replacement || '"' + entry.fileName + '"';
     }
 
     let replacement = plugins.hooks.resolveImportMeta(metaName, chunk.fileName, moduleId);
@@ -77,9 +274,108 @@ function resolveImportMetaProperty (plugins, moduleId, metaName, chunk, bundleRe
         return replacement;
     }
 
+    if (metaName === 'hot') {
+        return getImportMetaHot(context, moduleId);
+    }
+
     return 'import.meta.' + metaName;
 }
 
+/**
+ * Runs the load, transform and import/export resolution for a module.
+ * These are the expensive steps and don't depend on any other module,
+ * so each module gets its own scope and they can run at the same time.
+ *
+ * @param {NollupContext} context 
+ * @param {string} filePath 
+ * @param {string} parentFilePath 
+ * @param {NollupCodeGenerator} generator 
+ * @return {Promise<NollupTransformedModule>}
+ */
+async function transformModule (context, filePath, parentFilePath, generator) {
+    let cached = context.cache && context.cache.get(filePath);
+    if (cached) {
+        return { cached };
+    }
+
+    let scope = /** @type {NollupModuleScope} */ ({
+        id: null,
+        emittedAssetsCache: {},
+        emittedChunksCache: {}
+    });
+
+    return context.plugins.runInModuleScope(scope, async () => {
+        let loaded = await context.plugins.hooks.load(filePath, parentFilePath);
+        let transformed = await context.plugins.hooks.transform(loaded.code, filePath);
+        let resolved = await ImportExportResolver(context.plugins, transformed.code, filePath, generator, context.liveBindings);
+
+        return {
+            loaded,
+            transformed,
+            resolved,
+            emittedAssetsCache: scope.emittedAssetsCache,
+            emittedChunksCache: scope.emittedChunksCache
+        };
+    });
+}
+
+/**
+ * Starts transforming a module before the compiler reaches it.
+ * The compiler still walks the modules in order, so module indexes and output stay the same.
+ *
+ * @param {NollupContext} context 
+ * @param {string} filePath 
+ * @param {string} parentFilePath 
+ * @param {NollupCodeGenerator} generator 
+ */
+function prefetchModule (context, filePath, parentFilePath, generator) {
+    let file = context.files[filePath];
+
+    if (context.currentPendingTransforms.has(filePath) || (file && !file.invalidate)) {
+        return;
+    }
+
+    let pending = transformModule(context, filePath, parentFilePath, generator);
+
+    pending.catch(e => {
+        // The first error is the cause, other transforms in progress 
+        // will fail afterwards because the plugin container is in an error state.
+        if (!context.currentTransformError) {
+            context.currentTransformError = { filePath, error: e };
+        }
+    });
+
+    context.currentPendingTransforms.set(filePath, pending);
+}
+
+/**
+ * @param {NollupContext} context 
+ * @param {string} filePath 
+ * @param {string} parentFilePath 
+ * @param {NollupCodeGenerator} generator 
+ * @return {Promise<NollupTransformedModule>}
+ */
+async function getTransformedModule (context, filePath, parentFilePath, generator) {
+    prefetchModule(context, filePath, parentFilePath, generator);
+
+    try {
+        return await context.currentPendingTransforms.get(filePath);
+    } catch (e) {
+        let cause = context.currentTransformError;
+
+        if (cause && cause.filePath !== filePath) {
+            throw new ParseError(cause.filePath, cause.error);
+        }
+
+        // Like Rollup, errors are reported with the module they happened in.
+        if (e && typeof e === 'object' && !e.id) {
+            e.id = filePath;
+        }
+
+        throw e;
+    }
+}
+
 /**
  * @param {NollupContext} context 
  * @param {string} filePath 
@@ -131,27 +427,39 @@ async function compileModule (context, filePath, parentFilePath, depth, emitted,
     }
 
     if (file.invalidate) {
-        let emittedAssetsCache = /** @type Object<string, RollupEmittedAsset>} */ ({});
-        let emittedChunksCache = /** @type Object<String, RollupEmittedChunk>} */ ({});
-        
-        context.currentModuleEmittedAssetsCache = emittedAssetsCache
-        context.currentModuleEmittedChunksCache = emittedChunksCache;
-        
-        let loaded = await context.plugins.hooks.load(filePath, parentFilePath);
-        let transformed = await context.plugins.hooks.transform( loaded.code, filePath);
-        let resolved = await ImportExportResolver(context.plugins, transformed.code, filePath, generator, context.liveBindings);
+        let result = await getTransformedModule(context, filePath, parentFilePath, generator);
 
-        file.code = resolved.code;
-        file.imports = resolved.imports;
-        file.externalImports = resolved.externalImports;
-        file.dynamicImports = resolved.dynamicImports;
-        file.externalDynamicImports = resolved.externalDynamicImports;
-        file.exports = resolved.exports;
-        file.map = transformed.map;
-        file.emittedAssetsCache = emittedAssetsCache;
-        file.emittedChunksCache = emittedChunksCache;
-        file.metaProperties = resolved.metaProperties;
-        file.syntheticNamedExports = loaded.syntheticNamedExports || transformed.syntheticNamedExports || syntheticNamedExports || false;
+        if (result.cached) {
+            // Restore the side effects the transform would have had.
+            context.cache.apply(file, result.cached);
+            Object.keys(result.cached.watchFiles).forEach(watchFile => context.addWatchFile(watchFile, filePath));
+
+            if (result.cached.meta) {
+                context.plugins.__meta[filePath] = result.cached.meta;
+            }
+        } else {
+            let { loaded, transformed, resolved } = result;
+
+            file.code = resolved.code;
+            file.imports = resolved.imports;
+            file.externalImports = resolved.externalImports;
+            file.dynamicImports = resolved.dynamicImports;
+            file.externalDynamicImports = resolved.externalDynamicImports;
+            file.exports = resolved.exports;
+            file.map = transformed.map;
+            file.emittedAssetsCache = result.emittedAssetsCache;
+            file.emittedChunksCache = result.emittedChunksCache;
+            file.metaProperties = resolved.metaProperties;
+            file.syntheticNamedExports = loaded.syntheticNamedExports || transformed.syntheticNamedExports || syntheticNamedExports || false;
+
+            // Files emitted by hooks outside of the module scope, such as moduleParsed.
+            context.currentModuleEmittedAssetsCache = file.emittedAssetsCache;
+            context.currentModuleEmittedChunksCache = file.emittedChunksCache;
+
+            if (context.cache) {
+                context.cache.set(filePath, file, resolved.code, context.getResolvedWatchFiles(filePath), context.plugins.__meta[filePath]);
+            }
+        }
     }
 
     await context.plugins.hooks.moduleParsed(filePath);
@@ -193,6 +501,11 @@ async function compileModule (context, filePath, parentFilePath, depth, emitted,
 
     emitted.metaProperties[filePath] = file.metaProperties;
 
+    // Dependencies are transformed at the same time while the compiler walks through them.
+    file.imports.forEach(i => prefetchModule(context, i.source, filePath, generator));
+    file.dynamicImports.forEach(id => prefetchModule(context, id, filePath, generator));
+    Object.values(file.emittedChunksCache).forEach(chunk => prefetchModule(context, chunk.id, filePath, generator));
+
     for (let i = 0; i < file.imports.length; i++) {
         try {
             await compileModule(context, file.imports[i].source, filePath, depth + 1, emitted, bundleModuleIds, generator, file.imports[i].syntheticNamedExports, false, bundleEmittedAssets);
@@ -239,8 +552,13 @@ module.exports = {
      * @return {Promise<NollupCompileOutput>}
      */
     async compile (context, generator) {
+        await context.waitForInvalidations();
         context.plugins.start();
 
+        if (context.cache && !context.cache.loaded) {
+            context.cache.load(context.config, context.liveBindings);
+        }
+
         let bundle = /** @type {RollupOutputFile[]} */ ([]);
         let bundleError = /** @type {Error} */ (undefined);
         let bundleStartTime = Date.now();
@@ -251,6 +569,13 @@ module.exports = {
         let bundleReferenceIdMap = /** @type {Object<string, RollupOutputChunk| RollupOutputAsset>} */ ({}); 
         let bundleOutputTypes = /** @type {Object<String, string>} */ ({});
 
+        // Module code is generated differently with source maps, so every module is regenerated when that changes.
+        let sourcemap = Boolean(context.config.output.sourcemap);
+        if (sourcemap !== context.previousSourcemap) {
+            Object.values(context.files).forEach(file => file.invalidate = true);
+            context.previousSourcemap = sourcemap;
+        }
+
         let invalidated = Object.keys(context.files).filter(filePath => context.files[filePath].invalidate);
 
         let addBundleEmittedChunks = function (dynamicImports, emittedChunks) {
@@ -286,6 +611,8 @@ module.exports = {
         };
 
         context.currentBundle = bundle;
+        context.currentPendingTransforms = new Map();
+        context.currentTransformError = null;
         context.currentBundleModuleIds = bundleModuleIds;
         context.currentBundleReferenceIdMap = bundleReferenceIdMap;
         context.currentEmittedAssets = bundleEmittedAssets;
@@ -297,6 +624,10 @@ module.exports = {
 
             context.currentPhase = 'build';
 
+            context.input.forEach(({ file }) => {
+                prefetchModule(context, file, process.cwd() + '/__entry__', generator);
+            });
+
             for (let i = 0; i < context.input.length; i++) {
                 let { name, file } = context.input[i];                
                 let emitted = await compileInputTarget(context, file, bundleModuleIds, generator, bundleEmittedAssets, true);
@@ -369,14 +700,15 @@ module.exports = {
             await context.plugins.hooks.buildEnd(bundleError);
         }
 
-        applyOutputFileNames(context.config.output, bundle, bundleOutputTypes);
-
         context.currentPhase = 'generate';
 
+        // Assets are named first, as chunk hashes depend on the assets they reference.
         bundleEmittedAssets.forEach(asset => {
             emitAssetToBundle(context.config.output, bundle, asset, bundleReferenceIdMap);
         });
 
+        applyOutputFileNames(context.config.output, bundle, bundleOutputTypes, getChunkHashes(context, bundle, bundleReferenceIdMap));
+
         let modules;
 
         try {
@@ -405,16 +737,24 @@ module.exports = {
                 if (bundleEntry.type === 'chunk') {
                     Object.entries(bundleMetaProperties[bundleEntry.facadeModuleId]).forEach(([moduleId, metaNames]) => {
                         metaNames.forEach(metaName => {
-                            let resolved = resolveImportMetaProperty(context.plugins, moduleId, metaName, bundleEntry, bundleReferenceIdMap);
+                            let resolved = resolveImportMetaProperty(context, moduleId, metaName, bundleEntry, bundleReferenceIdMap);
                             modules[moduleId].code = modules[moduleId].code.replace(
                                 metaName === null? new RegExp('import\\.meta') : new RegExp('import\\.meta\\.' + metaName, 'g'),
-                                resolved
+                                () => resolved
                             );
                         });
                     });
                     
-                    bundleEntry.code = banner + '\n' + intro + '\n' + generator.onGenerateChunk(modules, bundleEntry, context.config.output, context.config) + '\n' + outro + '\n' + footer;
-                    await context.plugins.hooks.renderChunk(bundleEntry.code, bundleEntry, context.config.output);
+                    let header = banner + '\n' + intro + '\n';
+                    bundleEntry.code = header + generator.onGenerateChunk(modules, bundleEntry, context.config.output, context.config) + '\n' + outro + '\n' + footer;
+
+                    // The chunk map is generated before renderChunk, as the module offsets are relative to the generated code.
+                    let mapGenerator = context.config.output.sourcemap && generator.onGenerateChunkSourceMap(modules, context.files, bundleEntry, header.length);
+                    let renderMapChain = await context.plugins.hooks.renderChunk(bundleEntry.code, bundleEntry, context.config.output);
+
+                    if (mapGenerator) {
+                        applyChunkSourceMap(context.config.output, bundle, bundleEntry, mapGenerator, renderMapChain);
+                    }
                 }   
             }
         } catch (e) {
@@ -424,21 +764,56 @@ module.exports = {
         
         await context.plugins.hooks.generateBundle(context.config.output, bundle);
 
+        if (context.cache) {
+            context.cache.save();
+        }
+
         let removedIds = [...context.previousBundleModuleIds].filter(i => !bundleModuleIds.has(i));
         let addedIds = [...bundleModuleIds].filter(i => !context.previousBundleModuleIds.has(i));
 
         let changedIds = new Set(addedIds.concat(invalidated));
         context.previousBundleModuleIds = bundleModuleIds;
 
+        // Hashed chunk names change with their content, so modules loading them need the new name.
+        let chunkFileNames = bundle.reduce((acc, e) => {
+            if (e.type === 'chunk') {
+                acc[e.facadeModuleId] = e.fileName;
+            }
+
+            return acc;
+        }, {});
+
+        bundleModuleIds.forEach(id => {
+            let renamed = context.files[id].dynamicImports.some(di => {
+                return context.previousChunkFileNames[di] && context.previousChunkFileNames[di] !== chunkFileNames[di];
+            });
+
+            if (renamed) {
+                changedIds.add(id);
+            }
+        });
+
+        context.previousChunkFileNames = chunkFileNames;
+
+        let dynamicChunks = getDynamicChunks(context, bundle);
+
         let changes = removedIds.map(f => ({
             id: context.files[f].index,
             code: '',
             removed: true
-        })).concat([...changedIds].map(f => ({
-            id: context.files[f].index,
-            code: generator.onGenerateModuleChange(modules[f]),
-            removed: false
-        })));
+        })).concat([...changedIds].map(f => {
+            let change = /** @type {NollupCompileChange} */ ({
+                id: context.files[f].index,
+                code: generator.onGenerateModuleChange(modules[f]),
+                removed: false
+            });
+
+            if (dynamicChunks[f]) {
+                change.chunks = dynamicChunks[f];
+            }
+
+            return change;
+        }));
 
         return {
             stats: { time: Date.now() - bundleStartTime },
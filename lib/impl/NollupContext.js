@@ -1,8 +1,10 @@
 // @ts-check
+let fs = require('fs');
 let AcornParser = require('./AcornParser');
 let PluginContainer = require('./PluginContainer');
 let { resolvePath, getNameFromFileName, emitAssetToBundle } = require('./utils');
 let RollupConfigContainer = require('./RollupConfigContainer');
+let NollupCache = require('./NollupCache');
 
 /**
  * @param {NollupContext} context 
@@ -80,16 +82,17 @@ class NollupContext {
         this.currentModuleEmittedChunksCache = /** @type {Object<string, RollupEmittedChunk>} */ (null);
         this.currentEmittedAssets = /** @type {NollupInternalEmittedAsset[]} */ (null);
         this.currentBundleReferenceIdMap = /** @type {Object<String, RollupOutputFile>} */ (null);
+        this.currentPendingTransforms = /** @type {Map<string, Promise<NollupTransformedModule>>} */ (null);
+        this.currentTransformError = /** @type {{ filePath: string, error: Error }} */ (null);
+        this.cache = /** @type {NollupCache} */ (null);
+        this.pendingInvalidations = /** @type {Promise<string[]>[]} */ ([]);
+        this.invalidatedModules = /** @type {Set<string>} */ (new Set());
 
         this.plugins = new PluginContainer(this.config, AcornParser); 
         this.plugins.start();
 
         this.plugins.onAddWatchFile((source, parent) => {
-            if (!this.rawWatchFiles[parent]) {
-                this.rawWatchFiles[parent] = [];
-            }
-            this.rawWatchFiles[parent].push(source);
-            this.watchFiles[resolvePath(source, process.cwd() + '/__entry__')] = parent;
+            this.addWatchFile(source, parent);
         });
 
         this.plugins.onGetWatchFiles(() => {
@@ -105,12 +108,14 @@ class NollupContext {
 
         this.plugins.onEmitFile((referenceId, emitted) => {
             if (this.currentPhase === 'build') {
+                let scope = this.plugins.getModuleScope();
+
                 if (emitted.type === 'asset') {
-                    this.currentModuleEmittedAssetsCache[referenceId] = emitted;
+                    (scope.emittedAssetsCache || this.currentModuleEmittedAssetsCache)[referenceId] = emitted;
                 }
 
                 if (emitted.type === 'chunk') {
-                    this.currentModuleEmittedChunksCache[referenceId] = emitted;
+                    (scope.emittedChunksCache || this.currentModuleEmittedChunksCache)[referenceId] = emitted;
                 }
             } else if (this.currentPhase === 'generate') {
                 if (emitted.type === 'asset') {
@@ -137,9 +142,10 @@ class NollupContext {
         });
 
         this.plugins.onSetAssetSource((referenceId, source) => {
+            let scope = this.plugins.getModuleScope();
             let found = this.currentBundleReferenceIdMap[referenceId] || 
                 this.currentEmittedAssets.find(a => a.referenceId === referenceId) ||
-                this.currentModuleEmittedAssetsCache[referenceId];
+                (scope.emittedAssetsCache || this.currentModuleEmittedAssetsCache)[referenceId];
 
             if (found) {
                 found.source = source;
@@ -177,21 +183,112 @@ class NollupContext {
         this.indexGenerator = 0;
         this.liveBindings = /** @type {Boolean|String} */(false); 
         this.previousBundleModuleIds = new Set();
+        this.previousChunkFileNames = /** @type {Object<string, string>} */ ({});
+        this.previousSourcemap = false;
+    }
+
+    /**
+     * @param {string} source 
+     * @param {string} parent 
+     */
+    addWatchFile (source, parent) {
+        if (!this.rawWatchFiles[parent]) {
+            this.rawWatchFiles[parent] = [];
+        }
+        this.rawWatchFiles[parent].push(source);
+        this.watchFiles[resolvePath(source, process.cwd() + '/__entry__')] = parent;
+    }
+
+    /**
+     * @param {string} parent 
+     * @return {string[]}
+     */
+    getResolvedWatchFiles (parent) {
+        return (this.rawWatchFiles[parent] || []).map(source => {
+            return resolvePath(source, process.cwd() + '/__entry__');
+        }).filter((file, index, arr) => arr.indexOf(file) === index);
     }
 
     /**
+     * @param {string|boolean} cacheDir 
+     * @param {string} [configFile] 
+     */
+    setCacheDir (cacheDir, configFile) {
+        this.cache = cacheDir? new NollupCache(cacheDir, configFile) : null;
+    }
+
+    /**
+     * Resolves with the ids of the modules marked to be compiled again.
+     *
      * @param {string} filePath 
+     * @return {Promise<string[]>}
      */
     invalidate (filePath) {
-        filePath = resolvePath(filePath, process.cwd() + '/__entry__');
-        if (this.files[filePath]) {
-            this.files[filePath].invalidate = true;
-            this.plugins.hooks.watchChange(filePath);
+        // Virtual modules are invalidated using their id.
+        if (!this.files[filePath]) {
+            filePath = resolvePath(filePath, process.cwd() + '/__entry__');
+        }
+
+        let file = filePath;
+        let modules = [];
+
+        if (this.files[file]) {
+            modules.push(file);
+            this.plugins.hooks.watchChange(file);
         }
 
-        if (this.watchFiles[filePath]) {
-            this.files[this.watchFiles[filePath]].invalidate = true;
-            this.plugins.hooks.watchChange(filePath);
+        if (this.watchFiles[file]) {
+            modules.push(this.watchFiles[file]);
+            this.plugins.hooks.watchChange(file);
+        }
+
+        let read = () => new Promise((resolve, reject) => {
+            fs.readFile(file, 'utf8', (err, code) => err? reject(err) : resolve(code));
+        });
+
+        let mark = ids => {
+            return ids.filter(id => {
+                if (this.files[id]) {
+                    this.invalidatedModules.add(id);
+                    return true;
+                }
+            });
+        };
+
+        // Plugins can filter or extend the affected modules before they're compiled again.
+        // If a plugin fails, the modules are still compiled again once the error is fixed.
+        let pending = this.plugins.hooks.nollupHotUpdate(file, modules, read).then(mark, e => {
+            mark(modules);
+            throw e;
+        });
+
+        // Errors are thrown by the next compilation instead.
+        pending.catch(() => {});
+        this.pendingInvalidations.push(pending);
+        return pending;
+    }
+
+    /**
+     * Waits for the plugins to handle the files invalidated since the last compilation.
+     *
+     * @return {Promise<void>}
+     */
+    async waitForInvalidations () {
+        let pending = this.pendingInvalidations;
+        this.pendingInvalidations = [];
+
+        try {
+            await Promise.all(pending);
+        } finally {
+            // Modules are only marked before a compilation starts, as compiling
+            // a module clears the mark, which would lose changes made meanwhile.
+            this.invalidatedModules.forEach(id => {
+                if (this.files[id]) {
+                    this.files[id].invalidate = true;
+                }
+            });
+
+            this.invalidatedModules.clear();
         }
     }
 
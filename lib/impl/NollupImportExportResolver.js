@@ -214,6 +214,7 @@ async function resolveImport (container, input, output, node, currentpath, gener
         output.externalImports.push(dependency);
     } else {
         dependency.source = resolved.id;
+        dependency.specifier = node.source.value;
         output.imports.push(dependency);
     }
 
@@ -347,6 +348,7 @@ async function ImportExportResolver (container, input, currentpath, generator, l
     };
 
     let ast = AcornParser.parse(input);
+    generator = generator.fork();
     generator.onESMEnter(input, currentpath, ast);
 
     await walk(container, input, output, ast.body, currentpath, generator, liveBindings);
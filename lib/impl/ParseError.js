@@ -1,4 +1,6 @@
 // @ts-check
+let PluginErrorHandler = require('./PluginErrorHandler');
+
 class ParseError extends Error {
     /**
      * @param {string} file 
@@ -14,6 +16,9 @@ class ParseError extends Error {
         let message = filename + '\n' + details;
         super(message);
         this.name = 'ParseError';
+
+        let errorDetails = PluginErrorHandler.getDetails(parent_error);
+        this.__details = Object.assign({}, errorDetails, { file: errorDetails.file || filename });
     }
 }
 
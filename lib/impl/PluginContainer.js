@@ -1,4 +1,5 @@
 // @ts-check
+let { AsyncLocalStorage } = require('async_hooks');
 let NollupContext = require('./NollupContext');
 let PluginContext = require('./PluginContext');
 let PluginLifecycle = require('./PluginLifecycle');
@@ -15,9 +16,8 @@ class PluginContainer {
         this.__config = config;
         this.__meta = {};
         
-        this.__currentModuleId = null;
-        this.__currentMapChain = null;
-        this.__currentOriginalCode = null;
+        this.__moduleScope = new AsyncLocalStorage();
+        this.__defaultModuleScope = /** @type {NollupModuleScope} */ ({ id: null });
         this.__parser = parser;
         this.__errorState = true;
 
@@ -28,6 +28,8 @@ class PluginContainer {
         this.__onGetModuleIds = () => new Set().values();
         this.__onGetModuleInfo = (id) => ({});
         this.__onSetAssetSource = (id, source) => {};
+        this.__onHotSend = (event, data) => {};
+        this.__onHotInvalidate = (id) => {};
         
         this.__errorHandler = new PluginErrorHandler();
         this.__errorHandler.onThrow(() => {
@@ -42,7 +44,7 @@ class PluginContainer {
 
         /** @type {PluginLifecycle} */
         this.hooks = Object.entries(PluginLifecycle.create(this)).reduce((acc, val) => {
-            if (val[0] === 'buildEnd' || val[0] === 'renderError' || val[0] === 'watchChange') {
+            if (val[0] === 'buildEnd' || val[0] === 'renderError' || val[0] === 'watchChange' || val[0] === 'nollupHotEvent' || val[0] === 'nollupHotUpdate') {
                 acc[val[0]] = val[1];
                 return acc;
             }
@@ -64,6 +66,30 @@ class PluginContainer {
         this.__errorHandler.reset();
     }
 
+    /**
+     * Hooks for different modules can be called at the same time.
+     * Hooks called inside the callback, and the plugin context methods
+     * they use such as "addWatchFile", are associated with this scope.
+     * Additional properties can be stored on the scope object.
+     * 
+     * @param {NollupModuleScope} scope 
+     * @param {function(): Promise<any>} callback 
+     * @return {Promise<any>}
+     */
+    runInModuleScope (scope, callback) {
+        return this.__moduleScope.run(scope, callback);
+    }
+
+    /**
+     * Returns the scope of the module currently being processed.
+     * Outside of "runInModuleScope", a single shared scope is used.
+     * 
+     * @return {NollupModuleScope}
+     */
+    getModuleScope () {
+        return this.__moduleScope.getStore() || this.__defaultModuleScope;
+    }
+
     /**
      * Receives source and parent file if any.
      * @param {function(string, string): void} callback 
@@ -91,6 +117,24 @@ class PluginContainer {
         this.__onEmitFile = callback;
     }
 
+    /**
+     * Receives events sent to the client by plugins.
+     * 
+     * @param {function(string, any): void} callback 
+     */
+    onHotSend (callback) {
+        this.__onHotSend = callback;
+    }
+
+    /**
+     * Receives modules that plugins want to be compiled again.
+     * 
+     * @param {function(string): void} callback 
+     */
+    onHotInvalidate (callback) {
+        this.__onHotInvalidate = callback;
+    }
+
     /**
      * Receives the requested module. Must return module info.
      * 
@@ -19,6 +19,25 @@ module.exports = {
         return {
             meta: PluginMeta,
 
+            // Only available with the dev middleware when HMR is enabled.
+            // @ts-ignore
+            hot: {
+                /**
+                 * @param {string} event 
+                 * @param {any} data 
+                 */
+                send (event, data) {
+                    container.__onHotSend(event, data);
+                },
+
+                /**
+                 * @param {string} id 
+                 */
+                invalidate (id) {
+                    container.__onHotInvalidate(id);
+                }
+            },
+
             /**
              * @return {IterableIterator<string>}
              */
@@ -30,7 +49,7 @@ module.exports = {
              * @param {string} filePath 
              */
             addWatchFile (filePath) {
-                container.__onAddWatchFile(filePath, container.__currentModuleId);
+                container.__onAddWatchFile(filePath, container.getModuleScope().id);
             },
 
             /** 
@@ -77,11 +96,13 @@ module.exports = {
              * @return {RollupSourceMap}
              */
             getCombinedSourcemap () {
-                if (!container.__currentMapChain) {
+                let scope = container.getModuleScope();
+
+                if (!scope.mapChain) {
                     throw new Error('getCombinedSourcemap can only be called in transform hook');
                 }
 
-                return combineSourceMapChain(container.__currentMapChain, container.__currentOriginalCode, container.__currentModuleId);
+                return combineSourceMapChain(scope.mapChain, scope.originalCode, scope.id);
             },
 
             /**
@@ -145,6 +166,14 @@ module.exports = {
              */
             // @ts-ignore
             error (e) {
+                if (typeof e === 'string') {
+                    e = { message: e };
+                }
+
+                if (plugin.name && !e.plugin) {
+                    e.plugin = plugin.name;
+                }
+
                 container.__errorHandler.throw(e);
             },
 
@@ -14,6 +14,7 @@ function yellow (text) {
 // Nollup however has a dev-server, so it cannot take the CLI approach. Instead regardless of using CLI/API, it will be formatted.
 function format (error) {
     let output = '';
+    let details = PluginErrorHandler.getDetails(error);
 
     if (typeof error === 'object') {        
         if (error.pluginCode) {
@@ -54,11 +55,58 @@ function format (error) {
     }
 
     error.__isNollupError = true;
+    error.__details = details;
 
     return error;
 }
 
 class PluginErrorHandler {
+    constructor () {
+        // Multiple async hooks can be pending at the same time.
+        this.__asyncErrorListeners = new Set();
+    }
+
+    /**
+     * Unformatted error properties, so that errors can be displayed outside of the terminal.
+     *
+     * @param {any} error 
+     * @return {NollupErrorDetails}
+     */
+    static getDetails (error) {
+        if (error && error.__details) {
+            // The compiler attaches the module after the plugin error was formatted.
+            if (!error.__details.file && typeof error.id === 'string') {
+                return Object.assign({}, error.__details, { file: error.id.replace(process.cwd(), '') });
+            }
+
+            return error.__details;
+        }
+
+        if (typeof error !== 'object' || error === null) {
+            return { message: String(error) };
+        }
+
+        let loc = error.loc || error.start || {};
+        let file = loc.file || error.filename || error.id;
+        let message = String(error.message);
+
+        // Parse errors include the frame in the message.
+        if (error.frame && message.endsWith('\n' + error.frame)) {
+            message = message.slice(0, -error.frame.length - 1);
+        }
+
+        return {
+            message: message,
+            plugin: error.plugin,
+            pluginCode: error.pluginCode,
+            file: typeof file === 'string'? file.replace(process.cwd(), '') : undefined,
+            line: loc.line,
+            column: loc.column,
+            frame: error.frame,
+            stack: error instanceof Error? error.stack : undefined
+        };
+    }
+
     /**
      * @param {function} callback 
      */
@@ -85,8 +133,8 @@ class PluginErrorHandler {
             this.__errorThrown = true;
             this.__onThrow();
 
-            if (this.__asyncErrorListener) {
-                this.__asyncErrorListener(e);
+            if (this.__asyncErrorListeners.size > 0) {
+                this.__asyncErrorListeners.forEach(listener => listener(e));
             } else {
                 throw e;
             }
@@ -98,8 +146,10 @@ class PluginErrorHandler {
      * @return {Promise}
      */
     async wrapAsync (promiseResult) {
+        let errorListener;
         let errorPromise = new Promise(resolve => {
-            this.__asyncErrorListener = resolve;
+            errorListener = resolve;
+            this.__asyncErrorListeners.add(errorListener);
         });
 
         let result = await Promise.race([
@@ -119,12 +169,12 @@ class PluginErrorHandler {
             return e;
         });
 
+        this.__asyncErrorListeners.delete(errorListener);
+
         if (result && result.__isNollupError) {
-            this.__asyncErrorListener = undefined;
             throw result;
         }
 
-        this.__asyncErrorListener = undefined;
         return result;
     }
 }
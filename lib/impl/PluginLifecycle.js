@@ -77,7 +77,7 @@ async function callAsyncSequentialHook (container, hook, toArgs, fromResult, sta
         let hr = await _callAsyncHook(container.__plugins[i], hook, args);
 
         if (hr !== null && hr !== undefined) {
-            output = fromResult(hr, output);
+            output = fromResult(hr, output, container.__plugins[i]);
         }
     }
 
@@ -170,6 +170,42 @@ function triggerNotImplemented(name, args) {
     throw new Error(error);
 }
 
+/**
+ * Bundle hooks expect an object, but to avoid having
+ * to synchronize both an array and an object, we use a proxy
+ * to simulate the object. Plugins shouldn't notice the difference.
+ *
+ * @param {Array<RollupOutputFile>} bundle 
+ * @return {Object<string, RollupOutputFile>}
+ */
+function createBundleObject (bundle) {
+    return new Proxy({}, {
+        get (target, prop) {
+            return bundle.find(e => e.fileName === prop);
+        },
+
+        set (target, prop, value) {
+            bundle.push(value);
+            return true;
+        },
+
+        enumerate (target) {
+            return bundle.map(e => e.fileName);
+        },
+
+        ownKeys (target) {
+            return bundle.map(e => e.fileName);
+        },
+
+        getOwnPropertyDescriptor (key) {
+            return {
+                enumerable: true,
+                configurable: true,
+            };
+        }
+    });
+}
+
 /**
  * @param {RollupConfigContainer} config 
  * @param {string} name 
@@ -311,10 +347,12 @@ const PluginLifecycle = {
              */
             async transform (code, id) {
                 let map, originalCode = code, mapChain = [];
+                let scope = container.getModuleScope();
+                let previousId = scope.id;
 
-                container.__currentMapChain = mapChain;
-                container.__currentOriginalCode = originalCode;
-                container.__currentModuleId = id;
+                scope.mapChain = mapChain;
+                scope.originalCode = originalCode;
+                scope.id = id;
 
                 let syntheticNamedExports;
 
@@ -350,9 +388,9 @@ const PluginLifecycle = {
 
                 map = await combineSourceMapChainFast(mapChain, originalCode, id);
 
-                container.__currentMapChain = null;
-                container.__currentOriginalCode = null;
-                container.__currentModuleId = null;
+                scope.mapChain = null;
+                scope.originalCode = null;
+                scope.id = previousId;
 
                 return { 
                     code: hr.code,
@@ -361,6 +399,36 @@ const PluginLifecycle = {
                 };
             },
 
+            /**
+             * @param {string} event 
+             * @param {any} data 
+             * @return {Promise<void>}
+             */
+            async nollupHotEvent (event, data) {
+                await callAsyncParallelHook(container, 'nollupHotEvent', [event, data]);
+            },
+
+            /**
+             * @param {string} file
+             * @param {string[]} modules
+             * @param {function(): Promise<string>} read
+             * @return {Promise<string[]>}
+             */
+            async nollupHotUpdate (file, modules, read) {
+                return callAsyncSequentialHook(container, 'nollupHotUpdate',
+                    modules => [{ file, modules: modules.slice(), read }],
+                    (hr, modules, plugin) => {
+                        if (!Array.isArray(hr)) {
+                            let name = plugin.execute.name || 'unnamed';
+                            throw new Error(`Plugin "${name}" returned ${typeof hr} from "nollupHotUpdate", expected an array of module ids.`);
+                        }
+
+                        return hr;
+                    },
+                    modules
+                );
+            },
+
             /** 
              *  @param {string} filePath 
              */ 
@@ -421,8 +489,22 @@ const PluginLifecycle = {
                 triggerNotImplemented('renderDynamicImport', args);
             },
 
-            augmentChunkHash (...args) {
-                triggerNotImplemented('augmentChunkHash', args);
+            /**
+             * @param {RollupPreRenderedChunk} chunkInfo 
+             * @return {string}
+             */
+            augmentChunkHash (chunkInfo) {
+                // Every plugin contributes to the hash, so this can't use the first/sequential helpers.
+                let output = '';
+
+                for (let i = 0; i < container.__plugins.length; i++) {
+                    let hr = _callSyncHook(container.__plugins[i], 'augmentChunkHash', [chunkInfo]);
+                    if (hr) {
+                        output += hr;
+                    }
+                }
+
+                return output;
             },
 
             /**
@@ -464,9 +546,11 @@ const PluginLifecycle = {
              * @param {string} code 
              * @param {RollupOutputChunk} chunkInfo 
              * @param {RollupOutputOptions} outputOptions 
-             * @return {Promise}
+             * @return {Promise<RollupSourceMap[]>}
              */
             async renderChunk (code, chunkInfo, outputOptions) {
+                let mapChain = [];
+
                 await callAsyncSequentialHook(container, 'renderChunk', () => {
                     return [ chunkInfo.code, chunkInfo, outputOptions ]; 
                 }, (result) => {
@@ -479,9 +563,11 @@ const PluginLifecycle = {
                     }
 
                     if (result.map) {
-                        chunkInfo.map = result.map;
+                        mapChain.push(result.map);
                     }
                 }, {});
+
+                return mapChain;
             },
 
             /**
@@ -498,44 +584,27 @@ const PluginLifecycle = {
              * @return {Promise}
              */
             async generateBundle (outputOptions, bundle) {
-                // Generate bundle expects an object, but to avoid having
-                // to synchronize both an array and an object, we use a proxy
-                // to simulate the object. Plugins shouldn't notice the difference.
-                let bundleObj = new Proxy({}, {
-                    get (target, prop) {
-                        return bundle.find(e => e.fileName === prop);
-                    },
-
-                    set (target, prop, value) {
-                        bundle.push(value);
-                        return true;
-                    },
-
-                    enumerate (target) {
-                        return bundle.map(e => e.fileName);
-                    },
-
-                    ownKeys (target) {
-                        return bundle.map(e => e.fileName);
-                    },
-
-                    getOwnPropertyDescriptor (key) {
-                        return {
-                            enumerable: true,
-                            configurable: true,
-                        };
-                    }
-                });
-
                 await callAsyncSequentialHook(container, 'generateBundle', () => {
-                    return [ outputOptions, bundleObj ]; 
+                    return [ outputOptions, createBundleObject(bundle) ]; 
                 }, (result) => {
                     // Do nothing...
                 }, {});
             },
 
-            writeBundle (...args) {
-                triggerNotImplemented('writeBundle', args);
+            /**
+             * @param {RollupOutputOptions} outputOptions 
+             * @param {Array<RollupOutputFile>} bundle 
+             * @return {Promise}
+             */
+            async writeBundle (outputOptions, bundle) {
+                await callAsyncParallelHook(container, 'writeBundle', [outputOptions, createBundleObject(bundle)]);
+            },
+
+            /**
+             * @return {Promise}
+             */
+            async closeBundle () {
+                await callAsyncParallelHook(container, 'closeBundle', []);
             },
 
             /**
@@ -96,6 +96,68 @@ async function combineSourceMapChainFast (inputMapChain, original_code, filepath
 }
 
 
+/**
+ * Applies the maps returned by renderChunk to the map of the generated chunk.
+ * Each map in the chain maps from its output back to the chunk code before it.
+ *
+ * @param {SourceMapGenerator} mapGenerator 
+ * @param {RollupSourceMap[]} renderMapChain 
+ * @param {string} fileName 
+ * @return {RollupSourceMap}
+ */
+function combineChunkSourceMap (mapGenerator, renderMapChain, fileName) {
+    renderMapChain.forEach(renderMap => {
+        let map = typeof renderMap === 'string'? JSON.parse(renderMap) : renderMap;
+
+        if (!map.mappings) {
+            return;
+        }
+
+        // @ts-ignore
+        let previous = mapGenerator.toJSON();
+        let combined = new SourceMap.SourceMapGenerator({ file: fileName });
+        // @ts-ignore
+        let consumer = new SourceMap.SourceMapConsumer(Object.assign({}, map, {
+            version: 3,
+            file: fileName,
+            sources: map.sources.length === 1? [fileName] : map.sources,
+            sourcesContent: undefined
+        }));
+
+        // @ts-ignore
+        let previousConsumer = new SourceMap.SourceMapConsumer(previous);
+
+        // Code added by renderChunk doesn't map to anything in the chunk, so it's left unmapped.
+        consumer.eachMapping(mapping => {
+            let original = mapping.source === fileName && previousConsumer.originalPositionFor({
+                line: mapping.originalLine,
+                column: mapping.originalColumn
+            });
+
+            if (original && original.source !== null) {
+                combined.addMapping({
+                    source: original.source,
+                    name: original.name || mapping.name || undefined,
+                    generated: { line: mapping.generatedLine, column: mapping.generatedColumn },
+                    original: { line: original.line, column: original.column }
+                });
+            }
+        });
+
+        previousConsumer.sources.forEach(source => {
+            let content = previousConsumer.sourceContentFor(source, true);
+            if (content !== null) {
+                combined.setSourceContent(source, content);
+            }
+        });
+
+        mapGenerator = combined;
+    });
+
+    // @ts-ignore
+    return mapGenerator.toJSON();
+}
+
 /** 
  * @param {PluginContainer} container 
  * @param {string} id 
@@ -122,4 +184,4 @@ function getModuleInfo (container, id) {
     }
 }
 
-module.exports = { combineSourceMapChain, combineSourceMapChainFast, getModuleInfo }
\ No newline at end of file
+module.exports = { combineSourceMapChain, combineSourceMapChainFast, combineChunkSourceMap, getModuleInfo }
\ No newline at end of file
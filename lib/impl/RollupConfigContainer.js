@@ -28,6 +28,10 @@ function normalizeFormat (format) {
         return 'cjs';
     }
 
+    if (format === 'systemjs') {
+        return 'system';
+    }
+
     return format;
 }
 
@@ -35,7 +39,7 @@ function normalizeFormat (format) {
  * @param {string} format 
  */
 function validateOutputFormat (format) {
-    const formats = ['es', 'cjs', 'iife'];
+    const formats = ['es', 'cjs', 'iife', 'amd', 'umd', 'system'];
 
     if (formats.indexOf(format) === -1) {
         throw new Error(`Invalid format "${format}". Only ${formats.join(', ')} supported.`);
@@ -82,6 +82,7 @@
 /**
  * @typedef NollupInternalModuleImport
  * @property {string} source
+ * @property {string} [specifier]
  * @property {boolean} syntheticNamedExports
  * @property {boolean?} export
  * @property {NollupInternalModuleImportSpecifier[]} specifiers
@@ -111,6 +112,43 @@
   * @property {boolean} syntheticNamedExports
   */
 
+/**
+ * @typedef NollupCacheEntry
+ * @property {string} hash
+ * @property {string} code
+ * @property {Object<string, string>} watchFiles
+ * @property {NollupInternalModuleImport[]} imports
+ * @property {NollupInternalModuleImport[]} externalImports
+ * @property {string[]} dynamicImports
+ * @property {string[]} externalDynamicImports
+ * @property {string[]} exports
+ * @property {RollupSourceMap} map
+ * @property {string[]} metaProperties
+ * @property {boolean} syntheticNamedExports
+ * @property {Object<string, RollupEmittedAsset>} emittedAssetsCache
+ * @property {Object<string, RollupEmittedChunk>} emittedChunksCache
+ * @property {Object} meta
+ */
+
+/**
+ * @typedef NollupModuleScope
+ * @property {string} id
+ * @property {NollupTransformMapEntry[]} [mapChain]
+ * @property {string} [originalCode]
+ * @property {Object<string, RollupEmittedAsset>} [emittedAssetsCache]
+ * @property {Object<string, RollupEmittedChunk>} [emittedChunksCache]
+ */
+
+/**
+ * @typedef NollupTransformedModule
+ * @property {NollupCacheEntry} [cached]
+ * @property {RollupSourceDescription} [loaded]
+ * @property {RollupSourceDescription} [transformed]
+ * @property {Object} [resolved]
+ * @property {Object<string, RollupEmittedAsset>} [emittedAssetsCache]
+ * @property {Object<string, RollupEmittedChunk>} [emittedChunksCache]
+ */
+
 /**
  * @typedef NollupInternalPluginWrapper
  * @property {RollupPlugin} execute
@@ -138,11 +176,18 @@
  * @property {string} referenceId
  */
 
+/**
+ * @typedef NollupCompileChangeChunk
+ * @property {number} id
+ * @property {string} fileName
+ */
+
 /**
  * @typedef NollupCompileChange
  * @property {number} id
  * @property {string} [code]
  * @property {boolean} [removed]
+ * @property {NollupCompileChangeChunk[]} [chunks]
  */
 
 /**
@@ -150,4 +195,15 @@
  * @property {{ time: number }} stats
  * @property {NollupCompileChange[]} changes
  * @property {RollupOutputFile[]} output
- */
\ No newline at end of file
+ */
+/**
+ * @typedef NollupErrorDetails
+ * @property {string} message
+ * @property {string} [plugin]
+ * @property {string} [pluginCode]
+ * @property {string} [file]
+ * @property {number} [line]
+ * @property {number} [column]
+ * @property {string} [frame]
+ * @property {string} [stack]
+ */
@@ -1,5 +1,6 @@
 // @ts-check
 let path = require('path');
+let crypto = require('crypto');
 let NollupContext = require('./NollupContext');
 
 /**
@@ -41,23 +42,47 @@ function resolvePath (target, current) {
     }
 }
 
+const DEFAULT_HASH_LENGTH = 8;
+
+/**
+ * @param {string|Uint8Array} content 
+ * @return {string}
+ */
+function createContentHash (content) {
+    return crypto.createHash('sha256').update(content).digest('hex');
+}
+
 /**
  * @param {string} format 
  * @param {string} fileName 
  * @param {string|function(RollupPreRenderedFile): string} pattern 
+ * @param {string} [hash]
+ * @param {RollupPreRenderedFile} [fileInfo]
  * @return {string}
  */
-function formatFileName (format, fileName, pattern) {
+function formatFileName (format, fileName, pattern, hash, fileInfo) {
     let name = path.basename(fileName).replace(path.extname(fileName), '');
 
+    // Function patterns return a pattern, which can still use placeholders.
+    if (typeof pattern === 'function') {
+        pattern = pattern(fileInfo);
+    }
+
     if (typeof pattern === 'string') {
-        return pattern.replace('[name]', name)
+        let output = pattern.replace('[name]', name)
             .replace('[extname]', path.extname(fileName))
             .replace('[ext]', path.extname(fileName).substring(1))
             .replace('[format]', format === 'es'? 'esm' : format);
+
+        if (hash) {
+            output = output.replace(/\[hash(?::(\d+))?\]/g, (match, length) => {
+                return hash.substring(0, length? parseInt(length) : DEFAULT_HASH_LENGTH);
+            });
+        }
+
+        return output;
     }
- 
-    // TODO: Function pattern implementation
+
     return '';
 }
 
@@ -87,7 +112,11 @@ function emitAssetToBundle (outputOptions, bundle, asset, bundleReferenceIdMap)
         isAsset: /** @type {true} */ (true),
         type: /** @type {'asset'} */ ('asset'),
         source: asset.source,
-        fileName: asset.fileName || formatFileName(outputOptions.format, finalisedName, outputOptions.assetFileNames)
+        fileName: asset.fileName || formatFileName(outputOptions.format, finalisedName, outputOptions.assetFileNames, createContentHash(asset.source || ''), {
+            name: asset.name,
+            source: asset.source,
+            type: 'asset'
+        })
     };
 
     bundleReferenceIdMap[asset.referenceId] = bundleEntry;
@@ -99,6 +128,7 @@ function emitAssetToBundle (outputOptions, bundle, asset, bundleReferenceIdMap)
 module.exports = {
     resolvePath,
     formatFileName,
+    createContentHash,
     getNameFromFileName,
     emitAssetToBundle,
     findChildNodes
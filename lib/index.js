@@ -1,10 +1,37 @@
 let NollupContext = require('./impl/NollupContext');
 let NollupCompiler = require('./impl/NollupCompiler');
 let CodeGenerator = require('./impl/NollupCodeGenerator');
+let fs = require('fs');
+let path = require('path');
+
+/**
+ * Files which haven't changed since they were last written are skipped.
+ *
+ * @param {RollupOutputOptions} outputOptions 
+ * @param {RollupOutputFile[]} output 
+ * @param {Object<string, string|Uint8Array>} written
+ */
+function writeOutputFiles (outputOptions, output, written) {
+    let dir = outputOptions.dir || path.dirname(outputOptions.file);
+
+    output.forEach(file => {
+        let filePath = path.resolve(dir, file.fileName);
+        let content = file.type === 'asset'? file.source : file.code;
+
+        if (written[filePath] === content && fs.existsSync(filePath)) {
+            return;
+        }
+
+        fs.mkdirSync(path.dirname(filePath), { recursive: true });
+        fs.writeFileSync(filePath, content);
+        written[filePath] = content;
+    });
+}
 
 async function nollup (options = {}) {
     let queue = [];
     let processing = false;
+    let written = {};
     let context = await NollupContext.create(options);
 
     async function generateImpl (resolve, reject) {
@@ -31,10 +58,32 @@ async function nollup (options = {}) {
             if (opts.liveBindings) {
                 context.liveBindings = opts.liveBindings === true? 'reference' : opts.liveBindings;
             }
+
+            if (opts.cacheDir) {
+                context.setCacheDir(opts.cacheDir, opts.configFile);
+            }
+        },
+
+        close () {
+            if (context.cache) {
+                context.cache.flush();
+            }
         },
         
         invalidate (file) {
-            context.invalidate(file);
+            return context.invalidate(file);
+        },
+
+        onHotSend (callback) {
+            context.plugins.onHotSend(callback);
+        },
+
+        onHotInvalidate (callback) {
+            context.plugins.onHotInvalidate(callback);
+        },
+
+        async hotEvent (event, data) {
+            await context.plugins.hooks.nollupHotEvent(event, data);
         },
 
         generate (outputOptions = {}) {
@@ -47,6 +96,20 @@ async function nollup (options = {}) {
                     generateImpl(resolve, reject);
                 }
             });
+        },
+
+        async write (outputOptions = {}) {
+            if (!outputOptions.dir && !outputOptions.file) {
+                throw new Error('You must specify "output.file" or "output.dir" for the build.');
+            }
+
+            let result = await this.generate(outputOptions);
+
+            writeOutputFiles(outputOptions, result.output, written);
+            await context.plugins.hooks.writeBundle(context.config.output, result.output);
+            await context.plugins.hooks.closeBundle();
+
+            return result;
         }
     };
 
@@ -1,6 +1,6 @@
 module.exports = function (options = { bundleId: '' }) {
     // If there's only a single bundle, it will be an id of 0, which will default to ''.
-    let bundleId = options.bundleId;
+    let bundleId = options.bundleId || '';
     let hotGlobal = `__nollup__global__.__hot${bundleId}`;
 
     return {
@@ -10,15 +10,19 @@ module.exports = function (options = { bundleId: '' }) {
                     status: 'idle',
                     options: ${JSON.stringify(options)},
                     statusHandlers: [],
-                    dataCache: {}
+                    dataCache: {},
+                    importMetaData: {},
+                    eventHandlers: {},
+
+                    // Bundles running in Node can be loaded after the handler for their events is set.
+                    onmessage: ${hotGlobal} && ${hotGlobal}.onmessage
                 };
 
-                var ws;
+                // Identifies the build the client is running, so the server can send missed changes after reconnecting.
+                ${hotGlobal}.buildId = ${hotGlobal}.options.buildId;
 
-                if (typeof WebSocket === 'function') {
-                    var protocol =  __nollup__global__.location.protocol === 'https:' ? 'wss://' : 'ws://';
-                    ws = new WebSocket(protocol + ${options.hmrHost? `"${options.hmrHost}"` : '__nollup__global__.location.host'} + '/__hmr${bundleId}');
-                }
+                var ws;
+                var reconnectAttempts = 0;
 
                 function verboseLog() {
                     if (!${hotGlobal}.options.verbose) {
@@ -36,35 +40,227 @@ module.exports = function (options = { bundleId: '' }) {
                     });
                 }
 
-                function getDiposableAcceptableModules (id) {
+                var errorOverlay;
+
+                function hideErrorOverlay () {
+                    if (errorOverlay && errorOverlay.parentNode) {
+                        errorOverlay.parentNode.removeChild(errorOverlay);
+                    }
+
+                    errorOverlay = undefined;
+                }
+
+                function showErrorOverlay (error) {
+                    var doc = __nollup__global__.document;
+
+                    if (${hotGlobal}.options.overlay === false || !doc || !doc.body) {
+                        return;
+                    }
+
+                    hideErrorOverlay();
+
+                    var createElement = function (tag, style, text) {
+                        var el = doc.createElement(tag);
+                        el.setAttribute('style', style);
+
+                        if (text) {
+                            el.textContent = text;
+                        }
+
+                        return el;
+                    };
+
+                    var position = error.file? error.file + (error.line? ':' + error.line + ':' + error.column : '') : '';
+                    var title = (error.plugin? '[plugin ' + error.plugin + '] ' : '') + position;
+
+                    errorOverlay = createElement('div', 'position:fixed;top:0;left:0;right:0;bottom:0;z-index:2147483647;overflow:auto;padding:32px;background:rgba(0,0,0,0.85);color:#e8e8e8;font:13px/1.5 monospace;');
+                    errorOverlay.className = 'nollup-error-overlay';
+
+                    var close = createElement('button', 'float:right;background:none;border:0;color:inherit;font-size:24px;cursor:pointer;', '\u00d7');
+                    close.onclick = hideErrorOverlay;
+                    errorOverlay.appendChild(close);
+
+                    if (title) {
+                        errorOverlay.appendChild(createElement('div', 'color:#ffcc00;margin-bottom:8px;', title));
+                    }
+
+                    errorOverlay.appendChild(createElement('pre', 'color:#ff5555;white-space:pre-wrap;margin:0 0 16px;', error.message));
+
+                    if (error.frame) {
+                        errorOverlay.appendChild(createElement('pre', 'white-space:pre;margin:0 0 16px;', error.frame));
+                    }
+
+                    if (error.stack && !error.frame) {
+                        errorOverlay.appendChild(createElement('pre', 'color:#999;white-space:pre-wrap;margin:0;', error.stack));
+                    }
+
+                    doc.body.appendChild(errorOverlay);
+                }
+
+                if (${hotGlobal}.options.overlay && ${hotGlobal}.options.overlay.runtimeErrors && __nollup__global__.addEventListener) {
+                    __nollup__global__.addEventListener('error', function (e) {
+                        showErrorOverlay({
+                            message: e.message,
+                            file: e.filename,
+                            line: e.lineno,
+                            column: e.colno,
+                            stack: e.error && e.error.stack
+                        });
+                    });
+
+                    __nollup__global__.addEventListener('unhandledrejection', function (e) {
+                        var reason = e.reason || {};
+
+                        showErrorOverlay({
+                            message: reason.message || String(e.reason),
+                            stack: reason.stack
+                        });
+                    });
+                }
+
+                var pendingMessages = [];
+
+                function sendMessage (message) {
+                    if (${hotGlobal}.options.runtime === 'node') {
+                        sendProcessMessage(message);
+                        return;
+                    }
+
+                    // Messages sent before the connection is open are sent after the greeting.
+                    if (ws && ws.readyState === 1) {
+                        ws.send(JSON.stringify(message));
+                    } else {
+                        pendingMessages.push(message);
+                    }
+                }
+
+                ${hotGlobal}.send = function (event, data) {
+                    sendMessage({ event: event, data: data });
+                };
+
+                function dispatchHotEvent (event, data) {
+                    (${hotGlobal}.eventHandlers[event] || []).slice().forEach(function (handler) {
+                        handler(data);
+                    });
+                }
+
+                var disconnectedIndicator;
+
+                function showDisconnectedIndicator () {
+                    var doc = __nollup__global__.document;
+
+                    if (${hotGlobal}.options.overlay === false || disconnectedIndicator || !doc || !doc.body) {
+                        return;
+                    }
+
+                    disconnectedIndicator = doc.createElement('div');
+                    disconnectedIndicator.setAttribute('style', 'position:fixed;right:8px;bottom:8px;z-index:2147483647;padding:4px 8px;background:#333;color:#ffcc00;font:12px monospace;');
+                    disconnectedIndicator.className = 'nollup-disconnected';
+                    disconnectedIndicator.textContent = '[HMR] Disconnected, reconnecting...';
+                    doc.body.appendChild(disconnectedIndicator);
+                }
+
+                function hideDisconnectedIndicator () {
+                    if (disconnectedIndicator && disconnectedIndicator.parentNode) {
+                        disconnectedIndicator.parentNode.removeChild(disconnectedIndicator);
+                    }
+
+                    disconnectedIndicator = undefined;
+                }
+
+                function updateAssets (assets) {
+                    var doc = __nollup__global__.document;
+
+                    if (!doc) {
+                        return;
+                    }
+
+                    var links = doc.getElementsByTagName('link');
+
+                    for (var i = 0; i < links.length; i++) {
+                        var link = links[i];
+                        var href = (link.href || '').replace(/^[a-z]+:\\/\\/[^/]+/i, '').split('?')[0];
+
+                        assets.forEach(function (asset) {
+                            // The query busts the browser cache, so the stylesheet is loaded again.
+                            if (href === asset.previous || href === asset.url) {
+                                verboseLog('Asset Updated', asset.url);
+                                link.href = asset.url + '?t=' + Date.now();
+                            }
+                        });
+                    }
+                }
+
+                function reloadPage () {
+                    if (!__nollup__global__.location) {
+                        console.log('[HMR] The update couldn\\'t be applied, restart the process to load it.');
+                        return;
+                    }
+
+                    verboseLog('Reloading Page');
+                    __nollup__global__.location.reload();
+                }
+
+                function getDiposableAcceptableModules (id, invalidated) {
                     var instanceIds = Object.keys(instances).map(k => parseInt(k));
                     var disposable = [];
                     var acceptable = [];
-                    var acceptable_args = { branches: {} };
+                    var acceptable_args = { branches: {}, dependencies: {} };
+                    var declined;
 
-                    if (instances[id] && instances[id].hot._accept) {
+                    // An invalidated module can't accept itself, so the update bubbles to its parents.
+                    if (instances[id] && instances[id].hot._accept && !invalidated) {
                         acceptable.push(id);
                         disposable.push(id);
                         acceptable_args.branches[id] = [id];
+                    } else if (instances[id] && instances[id].hot._decline) {
+                        declined = id;
                     }
 
-                    if (acceptable.length === 0) {
+                    if (acceptable.length === 0 && declined === undefined) {
                         var branches = [[id]];
 
+                        var disposeBranch = function (branch) {
+                            for (var i = 0; i < branch.length; i++) {
+                                if (disposable.indexOf(branch[i]) === -1) {
+                                    disposable.push(branch[i]);
+                                }
+                            }
+                        };
+
                         var checkForAcceptable = function (branch) {
                             var latest = branch[branch.length - 1];
-                            if (instances[latest].hot._accept) {
+                            var dependency = branch[branch.length - 2];
+                            var hot = instances[latest].hot;
+
+                            if (hot._declineDeps[dependency]) {
+                                declined = latest;
+                                return true;
+                            }
+
+                            // The accepting module isn't disposed, only the branch up to the dependency.
+                            if (hot._acceptDeps[dependency]) {
+                                var dependencies = acceptable_args.dependencies[latest] = acceptable_args.dependencies[latest] || [];
+                                if (dependencies.indexOf(dependency) === -1) {
+                                    dependencies.push(dependency);
+                                }
+
+                                disposeBranch(branch.slice(0, branch.length - 1));
+                                return true;
+                            }
+
+                            if (hot._accept) {
                                 if (acceptable.indexOf(latest) === -1) {
                                     acceptable.push(latest);
                                     acceptable_args.branches[latest] = branch.slice(0);
                                 }
 
-                                for (var i = 0; i < branch.length; i++) {
-                                    if (disposable.indexOf(branch[i]) === -1) {
-                                        disposable.push(branch[i]);
-                                    }
-                                }
+                                disposeBranch(branch);
+                                return true;
+                            }
 
+                            if (hot._decline) {
+                                declined = latest;
                                 return true;
                             }
                         }
@@ -107,22 +303,48 @@ module.exports = function (options = { bundleId: '' }) {
                         }
                     }
 
-                    if (acceptable.length === 0) {
-                        return { acceptable: [], disposable: [], acceptable_args: acceptable_args };
+                    var accepted = acceptable.length > 0 || Object.keys(acceptable_args.dependencies).length > 0;
+
+                    if (!accepted) {
+                        return { acceptable: [], disposable: [], acceptable_args: acceptable_args, accepted: false, declined: declined };
                     }
 
-                    return { acceptable: acceptable, disposable: disposable, acceptable_args: acceptable_args };
+                    return { acceptable: acceptable, disposable: disposable, acceptable_args: acceptable_args, accepted: true, declined: declined };
                 }
 
                 function hmrDisposeCallback (disposable) {
                     disposable.forEach(function (id) {
                         instances[id].invalidate = true;
 
-                        var data = {};
-                        if (instances[id] && instances[id].hot && instances[id].hot._dispose) {
-                            instances[id].hot._dispose(data);
+                        // Invalidating an accepted module doesn't dispose the same instance twice.
+                        if (instances[id].hot._disposed) {
+                            return;
                         }
+
+                        var data = {};
+                        instances[id].hot._disposed = true;
+                        instances[id].hot._disposeHandlers.forEach(function (handler) {
+                            handler(data);
+                        });
                         ${hotGlobal}.dataCache[id] = data;
+
+                        // Event handlers are added again when the module is executed.
+                        instances[id].hot._eventHandlers.forEach(function (entry) {
+                            instances[id].hot.off(entry.event, entry.handler);
+                        });
+                    });
+                }
+
+                function hmrPruneCallback (changes) {
+                    changes.forEach(function (change) {
+                        var instance = instances[change.id];
+
+                        if (change.removed && instance && instance.hot._pruneHandlers.length) {
+                            hmrDisposeCallback([change.id]);
+                            instance.hot._pruneHandlers.forEach(function (handler) {
+                                handler();
+                            });
+                        }
                     });
                 }
 
@@ -134,49 +356,378 @@ module.exports = function (options = { bundleId: '' }) {
                             });
                         }
                     });
-                }
 
-                if (ws) {
-                    ws.onmessage = function (e) {
-                        var hot = JSON.parse(e.data);
+                    Object.keys(acceptable_args.dependencies).forEach(function (key) {
+                        var instance = instances[key];
+                        var callbacks = [];
 
-                        if (hot.greeting) {
-                            verboseLog('Enabled');
+                        if (!instance || instance.invalidate) {
+                            return;
                         }
 
-                        if (hot.status) {
-                            setHotStatus(hot.status);
+                        // Executing the dependencies again updates the imports of the accepting module.
+                        acceptable_args.dependencies[key].forEach(function (dep) {
+                            _require(instance, dep);
+
+                            var callback = instance.hot._acceptDeps[dep];
+                            var entry = callbacks.filter(function (c) {
+                                return c.callback === callback;
+                            })[0];
+
+                            if (!entry) {
+                                entry = { callback: callback, dependencies: [] };
+                                callbacks.push(entry);
+                            }
+
+                            entry.dependencies.push(dep);
+                        });
+
+                        callbacks.forEach(function (entry) {
+                            entry.callback(entry.dependencies);
+                        });
+                    });
+                }
+
+                var pendingInvalidations = [];
+
+                function applyChanges (changes) {
+                    // Several changes can lead to the same modules, 
+                    // so they're collected to dispose and accept each module once.
+                    var disposable = [];
+                    var acceptable = [];
+                    var acceptable_args = { branches: {}, dependencies: {} };
+                    var applied = false;
+                    var unaccepted = false;
+                    var declined;
+
+                    changes.forEach(function (change) {
+                        var mods = getDiposableAcceptableModules(change.id, change.invalidated);
+
+                        if (mods.declined !== undefined) {
+                            declined = mods.declined;
                         }
 
-                        if (hot.changes) {
-                            verboseLog('Changes Received');
+                        if (!change.removed && instances[change.id] && !mods.accepted) {
+                            unaccepted = true;
+                        }
 
-                            hot.changes.forEach(function (change) {
-                                if (!change.removed) {
-                                    modules[change.id] = eval(change.code);
-                                }
-                                
-                                // For when a module is added back, but isn't part of any dependency tree
-                                if (instances[change.id]) {
-                                    instances[change.id].invalidate = true;
+                        mods.disposable.forEach(function (id) {
+                            if (disposable.indexOf(id) === -1) {
+                                disposable.push(id);
+                            }
+                        });
+
+                        if (!change.removed) {
+                            applied = true;
+                            mods.acceptable.forEach(function (id) {
+                                if (acceptable.indexOf(id) === -1) {
+                                    acceptable.push(id);
+                                    acceptable_args.branches[id] = mods.acceptable_args.branches[id];
                                 }
                             });
 
-                            hot.changes.forEach(function (change) {
-                                setHotStatus('dispose');
-                                var mods = getDiposableAcceptableModules(change.id);
-                                hmrDisposeCallback(mods.disposable);
+                            Object.keys(mods.acceptable_args.dependencies).forEach(function (id) {
+                                var dependencies = acceptable_args.dependencies[id] = acceptable_args.dependencies[id] || [];
+                                mods.acceptable_args.dependencies[id].forEach(function (dep) {
+                                    if (dependencies.indexOf(dep) === -1) {
+                                        dependencies.push(dep);
+                                    }
+                                });
+                            });
+                        }
+                    });
+
+                    if (declined !== undefined) {
+                        verboseLog('Update Declined', declined);
+                        setHotStatus('abort');
+
+                        if (${hotGlobal}.options.reload) {
+                            reloadPage();
+                        }
+
+                        return;
+                    }
+
+                    // The update bubbled to the entry without being accepted.
+                    if (unaccepted && ${hotGlobal}.options.reload) {
+                        reloadPage();
+                        return;
+                    }
+
+                    try {
+                        setHotStatus('dispose');
+                        hmrDisposeCallback(disposable);
+                        hmrPruneCallback(changes);
+
+                        if (applied) {
+                            setHotStatus('apply');
+                            hmrAcceptCallback(acceptable, acceptable_args);
+                        }
+                    } catch (e) {
+                        pendingInvalidations = [];
+                        setHotStatus('fail');
+
+                        if (${hotGlobal}.options.reload) {
+                            reloadPage();
+                            return;
+                        }
 
-                                if (!change.removed) {
-                                    setHotStatus('apply');
-                                    hmrAcceptCallback(mods.acceptable, mods.acceptable_args);
+                        throw e;
+                    }
+
+                    setHotStatus('idle');
+
+                    // Modules invalidated by handlers are applied after the current update.
+                    if (pendingInvalidations.length) {
+                        applyChanges(pendingInvalidations.splice(0));
+                    }
+                }
+
+                ${hotGlobal}.invalidate = function (id) {
+                    verboseLog('Module Invalidated', id);
+                    var change = { id: id, invalidated: true };
+
+                    if (${hotGlobal}.status === 'dispose' || ${hotGlobal}.status === 'apply') {
+                        pendingInvalidations.push(change);
+                    } else {
+                        applyChanges([change]);
+                    }
+                };
+
+                ${hotGlobal}.createImportMetaHot = function (module, dependencyIds) {
+                    var hot = module.hot;
+                    var data = ${hotGlobal}.importMetaData[module.id] = ${hotGlobal}.importMetaData[module.id] || {};
+
+                    var getDependencyId = function (dep) {
+                        if (!dependencyIds.hasOwnProperty(dep)) {
+                            throw new Error('[HMR] Cannot accept "' + dep + '" as it isn\\'t imported by the module.');
+                        }
+
+                        return dependencyIds[dep];
+                    };
+
+                    return {
+                        data: data,
+
+                        accept: function (deps, callback) {
+                            if (deps === undefined) {
+                                hot.accept();
+                                return;
+                            }
+
+                            // The callback receives the exports of the updated module.
+                            if (typeof deps === 'function') {
+                                hot.accept(function () {
+                                    deps(_require(null, module.id));
+                                });
+                                return;
+                            }
+
+                            var ids = [].concat(deps).map(getDependencyId);
+                            hot.accept(ids, function (updated) {
+                                var updatedModules = ids.map(function (id) {
+                                    return updated.indexOf(id) > -1? instances[id].exports : undefined;
+                                });
+
+                                if (callback) {
+                                    callback(Array.isArray(deps)? updatedModules : updatedModules[0]);
                                 }
                             });
+                        },
+
+                        dispose: function (callback) {
+                            hot.dispose(function () {
+                                callback(data);
+                            });
+                        },
+
+                        prune: function (callback) {
+                            hot._pruneHandlers.push(function () {
+                                callback(data);
+                            });
+                        },
+
+                        decline: function () {
+                            hot.decline();
+                        },
+
+                        invalidate: function (message) {
+                            if (message) {
+                                verboseLog('Invalidate', message);
+                            }
+
+                            hot.invalidate();
+                        },
+
+                        on: function (event, handler) {
+                            hot.on(event, handler);
+                        },
+
+                        off: function (event, handler) {
+                            hot.off(event, handler);
+                        },
+
+                        send: function (event, payload) {
+                            hot.send(event, payload);
+                        }
+                    };
+                };
+
+                function getLoadedChanges (changes) {
+                    var loadedChunks = Object.keys(chunks).map(function (file) {
+                        return chunks[file];
+                    });
+
+                    var isLoaded = function (chunk) {
+                        return loadedChunks.indexOf(chunk.id) > -1;
+                    };
 
+                    return changes.filter(function (change) {
+                        // Modules only in dynamic chunks are skipped until one of the chunks is loaded,
+                        // which will then have their latest code.
+                        if (change.chunks && !modules[change.id] && !change.chunks.some(isLoaded)) {
+                            return false;
+                        }
+
+                        // Renamed chunks which are loaded are already up to date, so they aren't imported again.
+                        (change.chunks || []).filter(isLoaded).forEach(function (chunk) {
+                            chunks[chunk.fileName] = chunk.id;
+                        });
+
+                        return true;
+                    });
+                }
+
+                function handleMessage (hot) {
+                    if (hot.greeting) {
+                        verboseLog(reconnectAttempts > 0? 'Reconnected' : 'Enabled');
+                        pendingMessages.splice(0).forEach(sendMessage);
+
+                        if (reconnectAttempts > 0) {
+                            reconnectAttempts = 0;
+                            hideDisconnectedIndicator();
                             setHotStatus('idle');
                         }
+                    }
+
+                    // The missed changes couldn't be found, for example because the server restarted.
+                    if (hot.reload) {
+                        reloadPage();
+                        return;
+                    }
+
+                    if (hot.event) {
+                        dispatchHotEvent(hot.event, hot.data);
+                    }
+
+                    if (hot.status) {
+                        setHotStatus(hot.status);
+
+                        // A successful build clears the error from a previous one.
+                        if (hot.status === 'ready') {
+                            hideErrorOverlay();
+                        }
+                    }
+
+                    if (hot.error) {
+                        verboseLog('Build Error', hot.error.message);
+                        showErrorOverlay(hot.error);
+                    }
+
+                    // Rebuilds which didn't change this bundle send no changes.
+                    if (hot.changes && ${hotGlobal}.options.liveReload) {
+                        if (hot.changes.length > 0) {
+                            reloadPage();
+                        }
+
+                        return;
+                    }
+
+                    if (hot.changes) {
+                        verboseLog('Changes Received');
+
+                        var changes = getLoadedChanges(hot.changes);
+
+                        changes.forEach(function (change) {
+                            if (!change.removed) {
+                                modules[change.id] = eval(change.code);
+                            }
+                            
+                            // For when a module is added back, but isn't part of any dependency tree
+                            if (instances[change.id]) {
+                                instances[change.id].invalidate = true;
+                            }
+                        });
+
+                        applyChanges(changes);
+                    }
+
+                    if (hot.assets) {
+                        updateAssets(hot.assets);
+                    }
+
+                    if (hot.buildId) {
+                        ${hotGlobal}.buildId = hot.buildId;
+                    }
+                }
+
+                function handleClose () {
+                    // Backs off exponentially, up to 30 seconds between attempts.
+                    var delay = Math.min(1000 * Math.pow(2, reconnectAttempts), 30000);
+                    reconnectAttempts++;
+
+                    if (reconnectAttempts === 1) {
+                        console.log('[HMR] Disconnected from the server, reconnecting...');
+                        setHotStatus('disconnected');
+                        showDisconnectedIndicator();
+                    }
+
+                    setTimeout(connect, delay);
+                }
+
+                function connect () {
+                    var protocol =  __nollup__global__.location.protocol === 'https:' ? 'wss://' : 'ws://';
+                    var url = protocol + ${options.hmrHost? `"${options.hmrHost}"` : '__nollup__global__.location.host'} + '/__hmr${bundleId}';
+
+                    if (${hotGlobal}.buildId) {
+                        url += '?buildId=' + encodeURIComponent(${hotGlobal}.buildId);
+                    }
+
+                    ws = new WebSocket(url);
+                    ws.onclose = handleClose;
+                    ws.onmessage = function (e) {
+                        handleMessage(JSON.parse(e.data));
                     };
                 }
+
+                // Bundles running in Node receive messages from a parent process over IPC,
+                // or from the process itself which calls "receive" directly.
+                // A handler in the same process is preferred, as the process can have an unrelated parent.
+                function sendProcessMessage (message) {
+                    if (${hotGlobal}.onmessage) {
+                        ${hotGlobal}.onmessage(message);
+                    } else if (typeof process !== 'undefined' && process.send) {
+                        process.send({ type: 'nollup:hmr', bundleId: '${bundleId}', data: message });
+                    }
+                }
+
+                function listenToProcess () {
+                    ${hotGlobal}.receive = handleMessage;
+
+                    if (typeof process !== 'undefined' && process.send) {
+                        process.on('message', function (message) {
+                            if (message && message.type === 'nollup:hmr' && String(message.bundleId || '') === '${bundleId}') {
+                                handleMessage(message.data);
+                            }
+                        });
+                    }
+                }
+
+                if (${hotGlobal}.options.runtime === 'node') {
+                    listenToProcess();
+                } else if (typeof WebSocket === 'function') {
+                    connect();
+                }
                 
             `;
         },
@@ -186,12 +737,80 @@ module.exports = function (options = { bundleId: '' }) {
                 module.hot = {
                     data: ${hotGlobal}.dataCache[module.id] || undefined,
 
-                    accept: function (callback) {
-                        this._accept = callback;
+                    _acceptDeps: {},
+                    _declineDeps: {},
+                    _disposeHandlers: [],
+                    _pruneHandlers: [],
+                    _eventHandlers: [],
+
+                    accept: function (dependencies, callback) {
+                        if (dependencies === undefined || typeof dependencies === 'function') {
+                            // Without a callback, the module is executed again.
+                            this._accept = dependencies || function () {
+                                _require(null, module.id);
+                            };
+                            return;
+                        }
+
+                        [].concat(dependencies).forEach(function (dep) {
+                            this._acceptDeps[dep] = callback || function () {};
+                        }, this);
+                    },
+
+                    decline: function (dependencies) {
+                        if (dependencies === undefined) {
+                            this._decline = true;
+                            return;
+                        }
+
+                        [].concat(dependencies).forEach(function (dep) {
+                            this._declineDeps[dep] = true;
+                        }, this);
+                    },
+
+                    invalidate: function () {
+                        ${hotGlobal}.invalidate(module.id);
                     },
 
                     dispose: function (callback) {
-                        this._dispose = callback;
+                        this._disposeHandlers.push(callback);
+                    },
+
+                    addDisposeHandler: function (callback) {
+                        this._disposeHandlers.push(callback);
+                    },
+
+                    removeDisposeHandler: function (callback) {
+                        var callbackIndex = this._disposeHandlers.indexOf(callback);
+                        if (callbackIndex > -1) {
+                            this._disposeHandlers.splice(callbackIndex, 1);
+                        }
+                    },
+
+                    on: function (event, handler) {
+                        var handlers = ${hotGlobal}.eventHandlers[event] = ${hotGlobal}.eventHandlers[event] || [];
+                        handlers.push(handler);
+                        this._eventHandlers.push({ event: event, handler: handler });
+                    },
+
+                    off: function (event, handler) {
+                        var handlers = ${hotGlobal}.eventHandlers[event] || [];
+                        var handlerIndex = handlers.indexOf(handler);
+                        if (handlerIndex > -1) {
+                            handlers.splice(handlerIndex, 1);
+                        }
+                    },
+
+                    send: function (event, data) {
+                        ${hotGlobal}.send(event, data);
+                    },
+
+                    importMeta: function (dependencyIds) {
+                        if (!this._importMeta) {
+                            this._importMeta = ${hotGlobal}.createImportMetaHot(module, dependencyIds);
+                        }
+
+                        return this._importMeta;
                     },
 
                     status: function() {
@@ -0,0 +1,209 @@
+let EventEmitter = require('events');
+let fs = require('fs');
+let path = require('path');
+let nollup = require('./index');
+let hmr = require('./plugin-hmr');
+let ConfigLoader = require('./impl/ConfigLoader');
+let { createFileWatcher } = require('./impl/FileWatcher');
+
+/**
+ * @param {string} bundleId
+ * @return {Object}
+ */
+function getHotGlobal (bundleId) {
+    let name = '__hot' + bundleId;
+    global[name] = global[name] || {};
+    return global[name];
+}
+
+/**
+ * Writes the bundles to disk, and rewrites them when files change.
+ * Emits the same events as Rollup's watcher.
+ *
+ * With the "hot" option, the bundles include the Node HMR runtime, and the changes of each build
+ * are sent to them. It's true for bundles running in this process, or the child process they run in.
+ *
+ * @param {Object|Object[]} config
+ * @param {Object} options
+ * @return {EventEmitter}
+ */
+function watch (config, options = {}) {
+    let emitter = new EventEmitter();
+    let configs = ConfigLoader.splitOutputs(config);
+    let bundles = [];
+    let outputPaths = new Set();
+    let written = [];
+    let watcher;
+    let watcherTimeout;
+    let building = false;
+    let rebuild = false;
+    let closed = false;
+
+    if (options.hot) {
+        configs = configs.map((c, i) => Object.assign({}, c, {
+            plugins: (c.plugins || []).concat(hmr({ runtime: 'node', bundleId: i || '', verbose: options.verbose }))
+        }));
+    }
+
+    /**
+     * @param {number} i
+     * @param {Object} message
+     */
+    function sendHotMessage (i, message) {
+        let bundleId = String(i || '');
+
+        if (options.hot === true) {
+            // Bundles which haven't been loaded yet will load the files on disk.
+            let hot = getHotGlobal(bundleId);
+            if (hot.receive) {
+                hot.receive(message);
+            }
+        } else {
+            options.hot.send({ type: 'nollup:hmr', bundleId, data: message });
+        }
+    }
+
+    /**
+     * Custom events sent by the bundles with "module.hot.send".
+     *
+     * @param {number} i
+     * @param {Object} message
+     */
+    function receiveHotMessage (i, message) {
+        if (message && typeof message.event === 'string' && bundles[i]) {
+            bundles[i].hotEvent(message.event, message.data).catch(e => {
+                emitter.emit('event', { code: 'ERROR', error: e, result: bundles[i] });
+            });
+        }
+    }
+
+    let onProcessMessage = message => {
+        if (message && message.type === 'nollup:hmr') {
+            receiveHotMessage(Number(message.bundleId || 0), message.data);
+        }
+    };
+
+    if (options.hot === true) {
+        configs.forEach((c, i) => {
+            getHotGlobal(String(i || '')).onmessage = message => receiveHotMessage(i, message);
+        });
+    } else if (options.hot) {
+        options.hot.on('message', onProcessMessage);
+    }
+
+    async function writeBundles () {
+        building = true;
+        emitter.emit('event', { code: 'START' });
+
+        for (let i = 0; i < bundles.length; i++) {
+            let { input, output } = configs[i];
+            let outputFiles = [output.file || output.dir];
+            let start = Date.now();
+
+            emitter.emit('event', { code: 'BUNDLE_START', input, output: outputFiles });
+
+            try {
+                let result = await bundles[i].write(output);
+
+                result.output.forEach(file => {
+                    outputPaths.add(path.resolve(output.dir || path.dirname(output.file), file.fileName));
+                });
+
+                // The first build is loaded from disk.
+                if (options.hot && written[i]) {
+                    sendHotMessage(i, { changes: result.changes });
+                }
+
+                written[i] = true;
+
+                emitter.emit('event', { code: 'BUNDLE_END', input, output: outputFiles, duration: Date.now() - start, result: bundles[i] });
+            } catch (e) {
+                emitter.emit('event', { code: 'ERROR', error: e, result: bundles[i] });
+            }
+        }
+
+        emitter.emit('event', { code: 'END' });
+        building = false;
+
+        if (rebuild && !closed) {
+            rebuild = false;
+            writeBundles();
+        }
+    }
+
+    let scheduleBuild = () => {
+        if (watcherTimeout) {
+            clearTimeout(watcherTimeout);
+        }
+
+        watcherTimeout = setTimeout(() => {
+            if (building) {
+                rebuild = true;
+            } else {
+                writeBundles();
+            }
+        }, 100);
+    };
+
+    let onChange = filePath => {
+        // Files written by the watcher shouldn't trigger another build.
+        if (closed || outputPaths.has(path.resolve(filePath)) || !fs.lstatSync(filePath).isFile()) {
+            return;
+        }
+
+        emitter.emit('change', filePath);
+        bundles.forEach(b => b.invalidate(filePath));
+        scheduleBuild();
+    };
+
+    emitter.close = () => {
+        closed = true;
+        clearTimeout(watcherTimeout);
+
+        if (options.hot === true) {
+            configs.forEach((c, i) => getHotGlobal(String(i || '')).onmessage = undefined);
+        } else if (options.hot) {
+            options.hot.removeListener('message', onProcessMessage);
+        }
+
+        bundles.forEach(bundle => bundle.close());
+
+        if (watcher) {
+            watcher.close();
+        }
+
+        emitter.emit('close');
+    };
+
+    (async function () {
+        try {
+            for (let i = 0; i < configs.length; i++) {
+                let bundle = await nollup(configs[i]);
+                bundle.configure(options);
+
+                // Plugins can send custom events to the bundle, and compile virtual modules again.
+                if (options.hot) {
+                    bundle.onHotSend((event, data) => sendHotMessage(i, { event, data }));
+                    bundle.onHotInvalidate(id => {
+                        bundle.invalidate(id);
+                        scheduleBuild();
+                    });
+                }
+
+                bundles.push(bundle);
+            }
+        } catch (e) {
+            emitter.emit('event', { code: 'ERROR', error: e });
+            return;
+        }
+
+        if (!closed) {
+            watcher = createFileWatcher(configs, options.watch, onChange);
+            writeBundles();
+        }
+    })();
+
+    return emitter;
+}
+
+module.exports = watch;
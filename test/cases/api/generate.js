@@ -55,7 +55,7 @@ describe ('API: generate', () => {
         let asset = output.find(o => o.fileName.indexOf('style') > -1);
         expect(asset.type).to.equal('asset');
         expect(!asset.isEntry).to.be.true;
-        expect(asset.fileName).to.equal('assets/style-[hash].css');
+        expect(asset.fileName).to.match(/^assets\/style-[a-f0-9]{8}\.css$/);
         expect(asset.source).to.equal('*{color: blue}');
 
         let main = output.find(o => o.fileName.indexOf('main') > -1);
@@ -135,25 +135,25 @@ describe ('API: generate', () => {
         let main1 = output.find(o => o.fileName === 'main1.js');
         expect(main1.isEntry).to.be.true;
         expect(main1.fileName).to.equal('main1.js');
-        expect(main1.code.indexOf(`require.dynamic(\\'chunk-dynamic-[hash].js\\')`) > -1).to.be.true;
+        expect(main1.code).to.match(/require\.dynamic\(\\'chunk-dynamic-[a-f0-9]{8}\.js\\'\)/);
         expect(Object.keys(main1.modules).length).to.equal(1);
         expect(main1.modules[path.resolve(process.cwd(), './src/main1.js')]).not.to.be.undefined;
 
         let main2 = output.find(o => o.fileName === 'main2.js');
         expect(main2.isEntry).to.be.true;
         expect(main2.fileName).to.equal('main2.js');
-        expect(main2.code.indexOf(`require.dynamic(\\'chunk-dynamic-[hash].js\\'`) > -1).to.be.true;
+        expect(main2.code).to.match(/require\.dynamic\(\\'chunk-dynamic-[a-f0-9]{8}\.js\\'\)/);
         expect(Object.keys(main2.modules).length).to.equal(1);
         expect(main2.modules[path.resolve(process.cwd(), './src/main2.js')]).not.to.be.undefined;
 
-        let dynamic = output.find(o => o.fileName === 'chunk-dynamic-[hash].js');
+        let dynamic = output.find(o => o.fileName.startsWith('chunk-dynamic-'));
         expect(dynamic.isDynamicEntry).to.be.true;
         expect(dynamic.fileName.startsWith('chunk-')).to.be.true;
-        expect(dynamic.code.indexOf(`require.dynamic(\\'chunk-subdynamic-[hash].js\\')`) > -1).to.be.true;
+        expect(dynamic.code).to.match(/require\.dynamic\(\\'chunk-subdynamic-[a-f0-9]{8}\.js\\'\)/);
         expect(Object.keys(dynamic.modules).length).to.equal(1);
         expect(dynamic.modules[path.resolve(process.cwd(), './src/dynamic.js')]).not.to.be.undefined;
 
-        let subdynamic = output.find(o => o.fileName === 'chunk-subdynamic-[hash].js');
+        let subdynamic = output.find(o => o.fileName.startsWith('chunk-subdynamic-'));
         expect(subdynamic.isDynamicEntry).to.be.true;
         expect(subdynamic.fileName.startsWith('chunk-')).to.be.true;
         expect(subdynamic.code.indexOf('require.dynamic(') > -1).to.be.false;
@@ -178,9 +178,9 @@ describe ('API: generate', () => {
 
         expect(output.length).to.equal(2);
         expect(output[0].name).to.equal('main');
-        expect(output[0].fileName).to.equal('main.[hash].js');
+        expect(output[0].fileName).to.match(/^main\.[a-f0-9]{8}\.js$/);
         expect(output[1].name).to.equal('main');
-        expect(output[1].fileName).to.equal('main2.[hash].js');
+        expect(output[1].fileName).to.match(/^main2\.[a-f0-9]{8}\.js$/);
         
         fs.reset();
     });
@@ -205,13 +205,13 @@ describe ('API: generate', () => {
         // Only fileName deconflicts
         expect(output.length).to.equal(4);
         expect(output[0].name).to.equal('main');
-        expect(output[0].fileName).to.equal('main.[hash].js');
+        expect(output[0].fileName).to.match(/^main\.[a-f0-9]{8}\.js$/);
         expect(output[1].name).to.equal('main');
-        expect(output[1].fileName).to.equal('main2.[hash].js');
+        expect(output[1].fileName).to.match(/^main2\.[a-f0-9]{8}\.js$/);
         expect(output[2].name).to.equal('main');
-        expect(output[2].fileName).to.equal('main3.[hash].js');
+        expect(output[2].fileName).to.match(/^main3\.[a-f0-9]{8}\.js$/);
         expect(output[3].name).to.equal('main');
-        expect(output[3].fileName).to.equal('main4.[hash].js');
+        expect(output[3].fileName).to.match(/^main4\.[a-f0-9]{8}\.js$/);
         
 
         fs.reset();
@@ -359,6 +359,105 @@ describe ('API: Plugin Hooks', () => {
         })
     });
 
+    describe('writeBundle', () => {
+        it ('should be called after the files are written with output options and bundle', async () => {
+            fs.stub('./src/main.js', () => 'import("./dynamic.js"); export default 123');
+            fs.stub('./src/dynamic.js', () => 'export default 456');
+
+            let passed = false;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    writeBundle (outputOptions, bundle) {
+                        expect(outputOptions.dir).to.equal('dist');
+                        expect(Object.keys(bundle)).to.deep.equal(['main.js', 'lol.js']);
+                        expect(fs.readFileSync(path.resolve('dist/main.js'))).to.equal(bundle['main.js'].code);
+                        passed = true;
+                    }
+                }]
+            });
+
+            await bundle.write({
+                format: 'esm',
+                dir: 'dist',
+                chunkFileNames: 'lol.js'
+            });
+
+            expect(passed).to.be.true;
+            fs.reset();
+        });
+
+        it ('should not be called by generate', async () => {
+            fs.stub('./src/main.js', () => 'export default 123');
+
+            let passed = true;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    writeBundle () {
+                        passed = false;
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm', dir: 'dist' });
+
+            expect(passed).to.be.true;
+            fs.reset();
+        });
+
+        it ('should wait for returned promises', async () => {
+            fs.stub('./src/main.js', () => 'export default 123');
+
+            let passed = false;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    writeBundle () {
+                        return new Promise(resolve => setTimeout(() => {
+                            passed = true;
+                            resolve();
+                        }, 10));
+                    }
+                }]
+            });
+
+            await bundle.write({ format: 'esm', dir: 'dist' });
+
+            expect(passed).to.be.true;
+            fs.reset();
+        });
+    });
+
+    describe('closeBundle', () => {
+        it ('should be called after writeBundle', async () => {
+            fs.stub('./src/main.js', () => 'export default 123');
+
+            let calls = [];
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    writeBundle () {
+                        calls.push('writeBundle');
+                    },
+
+                    closeBundle () {
+                        calls.push('closeBundle');
+                    }
+                }]
+            });
+
+            await bundle.write({ format: 'esm', dir: 'dist' });
+
+            expect(calls).to.deep.equal(['writeBundle', 'closeBundle']);
+            fs.reset();
+        });
+    });
+
     describe ('load', () => {
         it ('should receive an id string for the module being loaded', async () => {
             fs.stub('./src/main.js', () => 'import "./lol.js";');
@@ -2936,6 +3035,22 @@ describe ('API: Plugin Hooks', () => {
             fs.reset();
         });
 
+        it ('should replace import.meta.hot with module.hot.importMeta if not resolved', async () => {
+            fs.stub('./src/main.js', () => 'import "./dep\'s.js"; if (import.meta.hot) import.meta.hot.accept()');
+            fs.stub('./src/dep\'s.js', () => '');
+
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({ 
+                format: 'esm'
+            });
+
+            expect(output[0].code.indexOf(`if ((module.hot && module.hot.importMeta? module.hot.importMeta({"./dep\\'s.js":1}) : undefined))`) > -1).to.be.true;
+            fs.reset();
+        });
+
         it ('should pass null if accessing import.meta directly with no property', async () => {
             fs.stub('./src/main.js', () => 'console.log(import.meta)');
             let passed = false;
@@ -3037,9 +3152,44 @@ describe ('API: Plugin Hooks', () => {
     });
 
     describe('augmentChunkHash', () => {
-        it ('should receive a chunkInfo object');
-        it ('should override hash of chunk with returned value');
-        it ('should not change anything if falsy is returned');
+        async function generate (augmentChunkHash) {
+            fs.stub('./src/main.js', () => 'export default 123');
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{ augmentChunkHash }]
+            });
+
+            let { output } = await bundle.generate({ format: 'esm', entryFileNames: '[name]-[hash].js' });
+            fs.reset();
+            return output[0].fileName;
+        }
+
+        it ('should receive a chunkInfo object', async () => {
+            let passed = false;
+
+            await generate(chunkInfo => {
+                expect(chunkInfo.name).to.equal('main');
+                expect(chunkInfo.isEntry).to.be.true;
+                expect(chunkInfo.facadeModuleId).to.equal(path.resolve(process.cwd(), './src/main.js'));
+                passed = true;
+            });
+
+            expect(passed).to.be.true;
+        });
+
+        it ('should override hash of chunk with returned value', async () => {
+            let original = await generate(() => {});
+            let augmented = await generate(() => 'extra');
+            expect(augmented).not.to.equal(original);
+            expect(augmented).to.match(/^main-[a-f0-9]{8}\.js$/);
+        });
+
+        it ('should not change anything if falsy is returned', async () => {
+            let original = await generate(() => {});
+            let augmented = await generate(() => '');
+            expect(augmented).to.equal(original);
+        });
     });
 
     describe ('watchChange', () => {
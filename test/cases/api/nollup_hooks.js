@@ -1,4 +1,5 @@
 let { nollup, fs, expect, rollup } = require('../../nollup');
+let path = require('path');
 
 describe ('API: Nollup Hooks', () => {
 
@@ -316,4 +317,184 @@ describe ('API: Nollup Hooks', () => {
             expect(_exports.result.default).to.equal(456);
         });
     });
+
+    describe('nollupHotUpdate', () => {
+        it ('should receive the changed file, affected modules and content reader', async () => {
+            fs.stub('./src/main.js', () => 'export default 123');
+            let passed = false;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    async nollupHotUpdate ({ file, modules, read }) {
+                        let target = path.resolve(process.cwd(), './src/main.js');
+                        expect(file).to.equal(target);
+                        expect(modules).to.deep.equal([target]);
+                        expect(await read()).to.equal('export default 456');
+                        passed = true;
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+            expect(passed).to.be.false;
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            bundle.invalidate('./src/main.js');
+            let { changes } = await bundle.generate({ format: 'esm' });
+            expect(passed).to.be.true;
+            expect(changes.length).to.equal(1);
+            fs.reset();
+        });
+
+        it ('should suppress the update if no modules are returned', async () => {
+            fs.stub('./src/main.js', () => 'export default 123');
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    nollupHotUpdate () {
+                        return [];
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+            fs.stub('./src/main.js', () => 'export default 456');
+            bundle.invalidate('./src/main.js');
+            let { changes, output } = await bundle.generate({ format: 'esm' });
+            expect(changes.length).to.equal(0);
+            expect(output[0].code).to.contain('123');
+            fs.reset();
+        });
+
+        it ('should allow importers to be added to the affected modules', async () => {
+            fs.stub('./src/styles.css', () => '.a {}');
+            fs.stub('./src/dep.js', () => 'export default 123');
+            fs.stub('./src/main.js', () => 'import Dep from \'./dep\'; export default Dep');
+            let loads = [];
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    load (id) {
+                        loads.push(path.basename(id));
+                    },
+
+                    nollupHotUpdate ({ file, modules }) {
+                        if (file.endsWith('.css')) {
+                            return modules.concat(path.resolve(process.cwd(), './src/dep.js'));
+                        }
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+            loads = [];
+
+            let ids = await bundle.invalidate('./src/styles.css');
+            expect(ids).to.deep.equal([path.resolve(process.cwd(), './src/dep.js')]);
+
+            let { changes } = await bundle.generate({ format: 'esm' });
+            expect(loads).to.deep.equal(['dep.js']);
+            expect(changes.length).to.equal(1);
+            fs.reset();
+        });
+
+        it ('should still compile the changed modules after the hook throws', async () => {
+            fs.stub('./src/main.js', () => 'export default 1');
+            let fail = false;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    nollupHotUpdate () {
+                        if (fail) {
+                            throw new Error('Hot Update Error');
+                        }
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+
+            fail = true;
+            fs.stub('./src/main.js', () => 'export default 2');
+            bundle.invalidate('./src/main.js');
+
+            let passed = false;
+            try {
+                await bundle.generate({ format: 'esm' });
+            } catch (e) {
+                expect(e.message).to.contain('Hot Update Error');
+                passed = true;
+            }
+
+            expect(passed).to.be.true;
+
+            let { output } = await bundle.generate({ format: 'esm' });
+            expect(output[0].code).to.contain('__ex_default__ = 2');
+            fs.reset();
+        });
+
+        it ('should throw an error naming the plugin if the hook does not return an array', async () => {
+            fs.stub('./src/main.js', () => 'export default 1');
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    name: 'bad-hot-update',
+                    nollupHotUpdate () {
+                        return true;
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+
+            fs.stub('./src/main.js', () => 'export default 2');
+            bundle.invalidate('./src/main.js');
+
+            let passed = false;
+            try {
+                await bundle.generate({ format: 'esm' });
+            } catch (e) {
+                expect(e.message).to.contain('Plugin "bad-hot-update" returned boolean from "nollupHotUpdate"');
+                passed = true;
+            }
+
+            expect(passed).to.be.true;
+            fs.reset();
+        });
+
+        it ('should pass the modules returned by previous plugins onwards', async () => {
+            fs.stub('./src/dep.js', () => 'export default 123');
+            fs.stub('./src/main.js', () => 'import Dep from \'./dep\'; export default Dep');
+            let received;
+
+            let bundle = await nollup({
+                input: './src/main.js',
+                plugins: [{
+                    nollupHotUpdate ({ modules }) {
+                        return modules.concat(path.resolve(process.cwd(), './src/main.js'));
+                    }
+                }, {
+                    nollupHotUpdate ({ modules }) {
+                        received = modules;
+                    }
+                }]
+            });
+
+            await bundle.generate({ format: 'esm' });
+            bundle.invalidate('./src/dep.js');
+            let { changes } = await bundle.generate({ format: 'esm' });
+
+            expect(received).to.deep.equal([
+                path.resolve(process.cwd(), './src/dep.js'),
+                path.resolve(process.cwd(), './src/main.js')
+            ]);
+            expect(changes.length).to.equal(2);
+            fs.reset();
+        });
+    });
 });
\ No newline at end of file
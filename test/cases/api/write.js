@@ -0,0 +1,70 @@
+let { nollup, fs, expect, rollup } = require('../../nollup');
+let path = require('path');
+
+describe ('API: write', () => {
+    beforeEach(() => {
+        fs.stub('./src/main.js', () => 'import "./style.css"; import("./dynamic.js"); export default 123');
+        fs.stub('./src/dynamic.js', () => 'export default 456');
+        fs.stub('./src/style.css', () => '*{color: blue}');
+    });
+
+    afterEach(() => {
+        fs.reset();
+    });
+
+    let plugins = [{
+        transform (code, id) {
+            if (id.endsWith('.css')) {
+                this.emitFile({ type: 'asset', name: 'style.css', source: code });
+                return '';
+            }
+        }
+    }];
+
+    it ('should write chunks and assets to output.dir', async () => {
+        let bundle = await nollup({ input: './src/main.js', plugins });
+        let { output } = await bundle.write({
+            format: 'esm',
+            dir: 'dist',
+            chunkFileNames: 'chunks/[name].js',
+            assetFileNames: 'assets/[name][extname]'
+        });
+
+        expect(output.length).to.equal(3);
+        expect(fs.readFileSync(path.resolve('dist/main.js'))).to.equal(output[0].code);
+        expect(fs.readFileSync(path.resolve('dist/chunks/dynamic.js'))).to.contain('456');
+        expect(fs.readFileSync(path.resolve('dist/assets/style.css'))).to.equal('*{color: blue}');
+    });
+
+    it ('should write the entry to output.file', async () => {
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let bundle = await nollup({ input: './src/main.js' });
+        await bundle.write({ format: 'esm', file: 'public/bundle.js' });
+
+        expect(fs.readFileSync(path.resolve('public/bundle.js'))).to.contain('123');
+    });
+
+    it ('should write source maps', async () => {
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let bundle = await nollup({ input: './src/main.js' });
+        await bundle.write({ format: 'esm', dir: 'dist', sourcemap: true });
+
+        expect(JSON.parse(fs.readFileSync(path.resolve('dist/main.js.map'))).sources).to.deep.equal(['../src/main.js']);
+    });
+
+    it ('should throw if there is no output.dir or output.file', async () => {
+        let bundle = await nollup({ input: './src/main.js', plugins });
+        let passed = false;
+
+        try {
+            await bundle.write({ format: 'esm' });
+        } catch (e) {
+            expect(e.message).to.equal('You must specify "output.file" or "output.dir" for the build.');
+            passed = true;
+        }
+
+        expect(passed).to.be.true;
+    });
+});
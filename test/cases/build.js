@@ -0,0 +1,74 @@
+let proxyquire = require('proxyquire');
+let { expect, fs } = require('../nollup');
+let path = require('path');
+
+let { build } = proxyquire('../../lib/build', { fs });
+
+describe('Build', () => {
+    let log = console.log;
+
+    beforeEach(() => {
+        console.log = () => {};
+        fs.stub('./src/main.js', () => 'import("./dynamic.js"); export default 123');
+        fs.stub('./src/dynamic.js', () => 'export default 456');
+    });
+
+    afterEach(() => {
+        console.log = log;
+        fs.reset();
+    });
+
+    it ('should write the bundle for each output', async () => {
+        await build({
+            config: {
+                input: './src/main.js',
+                output: [{
+                    dir: 'dist',
+                    format: 'esm',
+                    chunkFileNames: '[name].js'
+                }, {
+                    file: 'dist/cjs/bundle.js',
+                    format: 'cjs'
+                }]
+            }
+        });
+
+        expect(fs.readFileSync(path.resolve('dist/main.js'))).to.contain('123');
+        expect(fs.readFileSync(path.resolve('dist/dynamic.js'))).to.contain('456');
+        expect(fs.readFileSync(path.resolve('dist/cjs/bundle.js'))).to.contain('module.exports');
+    });
+
+    it ('should write the bundle for each config', async () => {
+        await build({
+            config: [{
+                input: './src/main.js',
+                output: { file: 'dist/a.js', format: 'esm' }
+            }, {
+                input: './src/dynamic.js',
+                output: { file: 'dist/b.js', format: 'esm' }
+            }]
+        });
+
+        expect(fs.readFileSync(path.resolve('dist/a.js'))).to.contain('123');
+        expect(fs.readFileSync(path.resolve('dist/b.js'))).to.contain('456');
+    });
+
+    it ('should reject if the bundle fails to compile', async () => {
+        fs.stub('./src/main.js', () => 'export default 123;;;(');
+        let passed = false;
+
+        try {
+            await build({
+                config: {
+                    input: './src/main.js',
+                    output: { dir: 'dist', format: 'esm' }
+                }
+            });
+        } catch (e) {
+            passed = true;
+        }
+
+        expect(passed).to.be.true;
+        expect(fs.existsSync(path.resolve('dist/main.js'))).to.be.false;
+    });
+});
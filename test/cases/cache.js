@@ -0,0 +1,291 @@
+let { nollup, fs, expect } = require('../nollup');
+let path = require('path');
+let proxyquire = require('proxyquire').noCallThru();
+let NollupCache = proxyquire('../../lib/impl/NollupCache', { fs });
+
+describe ('Persistent Cache', () => {
+    let transformed;
+    let plugin = {
+        name: 'counter',
+        transform (code, id) {
+            transformed.push(path.basename(id));
+        }
+    };
+
+    async function build (options = { cacheDir: '.cache' }, plugins = [plugin]) {
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: plugins
+        });
+
+        bundle.configure(options);
+        return await bundle.generate({ format: 'esm' });
+    }
+
+    beforeEach(() => {
+        transformed = [];
+        fs.stub('./src/main.js', () => 'import dep from "./dep"; export default dep;');
+        fs.stub('./src/dep.js', () => 'export default 123;');
+    });
+
+    afterEach(() => {
+        fs.reset();
+    });
+
+    it ('should not write anything if cacheDir is not set', async () => {
+        await build({});
+        expect(fs.readdirSync(path.resolve(process.cwd(), '.cache')).length).to.equal(0);
+    });
+
+    it ('should write cache file to cacheDir', async () => {
+        await build();
+        let files = fs.readdirSync(path.resolve(process.cwd(), '.cache'));
+        expect(files.length).to.equal(1);
+        expect(files[0].endsWith('.json')).to.be.true;
+    });
+
+    it ('should default cacheDir to node_modules/.cache/nollup if set to true', async () => {
+        await build({ cacheDir: true });
+        expect(fs.readdirSync(path.resolve(process.cwd(), 'node_modules/.cache/nollup')).length).to.equal(1);
+    });
+
+    it ('should restore modules from the cache for a new compiler instance', async () => {
+        let first = await build();
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+
+        transformed = [];
+        let second = await build();
+        expect(transformed).to.deep.equal([]);
+        expect(second.output[0].code).to.equal(first.output[0].code);
+    });
+
+    it ('should only transform modules that have changed', async () => {
+        await build();
+        transformed = [];
+
+        fs.stub('./src/dep.js', () => 'export default 456;');
+        let { output } = await build();
+        expect(transformed).to.deep.equal(['dep.js']);
+        expect(output[0].code.indexOf('456') > -1).to.be.true;
+    });
+
+    it ('should transform modules if an added watch file has changed', async () => {
+        fs.stub('./src/data.txt', () => 'hello');
+
+        let watchPlugin = {
+            transform (code, id) {
+                transformed.push(path.basename(id));
+
+                if (id.endsWith('dep.js')) {
+                    this.addWatchFile(path.resolve(process.cwd(), './src/data.txt'));
+                }
+            }
+        };
+
+        await build(undefined, [watchPlugin]);
+        transformed = [];
+
+        fs.stub('./src/data.txt', () => 'world');
+        await build(undefined, [watchPlugin]);
+        expect(transformed).to.deep.equal(['dep.js']);
+    });
+
+    it ('should not use entries created with different plugins', async () => {
+        await build();
+        transformed = [];
+
+        await build(undefined, [plugin, { name: 'other' }]);
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+
+    it ('should not use entries created with different plugin versions', async () => {
+        await build(undefined, [plugin, { name: 'other', version: '1.0.0' }]);
+        transformed = [];
+
+        await build(undefined, [plugin, { name: 'other', version: '1.0.1' }]);
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+
+    it ('should not use entries created with different external options', async () => {
+        fs.stub('./src/main.js', () => 'import fake from "lodash-fake"; export default fake;');
+        fs.stub('./node_modules/lodash-fake/index.js', () => 'export default 123;');
+
+        let resolver = {
+            resolveId (id) {
+                if (id === 'lodash-fake') {
+                    return path.resolve(process.cwd(), './node_modules/lodash-fake/index.js');
+                }
+            }
+        };
+
+        async function buildWithExternal (external) {
+            let bundle = await nollup({
+                input: './src/main.js',
+                external: external,
+                plugins: [resolver, plugin]
+            });
+
+            bundle.configure({ cacheDir: '.cache' });
+            return await bundle.generate({ format: 'esm' });
+        }
+
+        let { output } = await buildWithExternal([]);
+        expect(output[0].code).not.to.contain('import __nollup__external__');
+        expect(transformed).to.deep.equal(['main.js', 'index.js']);
+
+        transformed = [];
+        output = (await buildWithExternal(['lodash-fake'])).output;
+        expect(transformed).to.deep.equal(['main.js']);
+        expect(output[0].code).to.contain('lodash-fake');
+        expect(output[0].code).not.to.contain('export default 123');
+    });
+
+    it ('should not use entries created with a different version of a plugin without version', async () => {
+        await build(undefined, [plugin, { name: 'other', transform: () => null }]);
+        transformed = [];
+
+        await build(undefined, [plugin, { name: 'other', transform: () => undefined }]);
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+
+    it ('should not use entries created with a different config file', async () => {
+        let options = { cacheDir: '.cache', configFile: './rollup.config.js' };
+
+        fs.stub('./rollup.config.js', () => 'export default { plugins: [babel({ presets: [] })] }');
+        await build(options);
+        transformed = [];
+
+        await build(options);
+        expect(transformed).to.deep.equal([]);
+
+        fs.stub('./rollup.config.js', () => 'export default { plugins: [babel({ presets: ["env"] })] }');
+        await build(options);
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+
+    it ('should not use entries created with different installed packages', async () => {
+        fs.stub('./package-lock.json', () => '{ "packages": { "node_modules/plugin": { "version": "1.0.0" } } }');
+        await build();
+        transformed = [];
+
+        fs.stub('./package-lock.json', () => '{ "packages": { "node_modules/plugin": { "version": "1.0.1" } } }');
+        await build();
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+
+    it ('should write the cache straight away once, and wait for rebuilds to settle', async () => {
+        let cache = new NollupCache('.cache');
+        let file = { emittedAssetsCache: {}, emittedChunksCache: {} };
+        let read = () => JSON.parse(fs.readFileSync(cache.file, 'utf8'));
+
+        cache.load({ plugins: [] }, false);
+        cache.set(path.resolve(process.cwd(), './src/main.js'), file, 'main', [], {});
+        cache.save();
+        expect(Object.keys(read()).length).to.equal(1);
+
+        cache.set(path.resolve(process.cwd(), './src/dep.js'), file, 'dep', [], {});
+        cache.save();
+        expect(Object.keys(read()).length).to.equal(1);
+
+        cache.flush();
+        expect(Object.keys(read()).length).to.equal(2);
+    });
+
+    it ('should write pending entries when the process is stopped', async () => {
+        let cache = new NollupCache('.cache');
+        let file = { emittedAssetsCache: {}, emittedChunksCache: {} };
+        let read = () => JSON.parse(fs.readFileSync(cache.file, 'utf8'));
+
+        cache.load({ plugins: [] }, false);
+        cache.set(path.resolve(process.cwd(), './src/main.js'), file, 'main', [], {});
+        cache.save();
+        expect(process.listeners('exit')).not.to.include(cache.onExit);
+
+        cache.set(path.resolve(process.cwd(), './src/dep.js'), file, 'dep', [], {});
+        cache.save();
+        expect(process.listeners('exit')).to.include(cache.onExit);
+        expect(process.listeners('SIGTERM')).to.include(cache.onSignal);
+
+        // Another listener keeps the process running after the signal.
+        let keepAlive = () => {};
+        process.on('SIGINT', keepAlive);
+        process.emit('SIGINT', 'SIGINT');
+        process.removeListener('SIGINT', keepAlive);
+
+        expect(Object.keys(read()).length).to.equal(2);
+        expect(process.listeners('exit')).not.to.include(cache.onExit);
+        expect(process.listeners('SIGINT')).not.to.include(cache.onSignal);
+    });
+
+    it ('should write pending entries when the bundle is closed', async () => {
+        let bundle = await nollup({ input: './src/main.js', plugins: [plugin] });
+        bundle.configure({ cacheDir: '.cache' });
+        await bundle.generate({ format: 'esm' });
+
+        let cacheDir = path.resolve(process.cwd(), '.cache');
+        let read = () => fs.readFileSync(path.join(cacheDir, fs.readdirSync(cacheDir)[0]), 'utf8');
+
+        fs.stub('./src/dep.js', () => 'export default 456;');
+        bundle.invalidate('./src/dep.js');
+        await bundle.generate({ format: 'esm' });
+        expect(read()).not.to.contain('456');
+
+        bundle.close();
+        expect(read()).to.contain('456');
+    });
+
+    it ('should restore emitted assets', async () => {
+        let assetPlugin = {
+            transform (code, id) {
+                transformed.push(path.basename(id));
+
+                if (id.endsWith('dep.js')) {
+                    this.emitFile({ type: 'asset', name: 'style.css', source: '*{}' });
+                }
+            }
+        };
+
+        await build(undefined, [assetPlugin]);
+        transformed = [];
+
+        let { output } = await build(undefined, [assetPlugin]);
+        expect(transformed).to.deep.equal([]);
+        expect(output.find(o => o.type === 'asset').source).to.equal('*{}');
+    });
+
+    it ('should always transform virtual modules', async () => {
+        fs.stub('./src/main.js', () => 'import dep from "virtual"; export default dep;');
+
+        let virtualPlugin = {
+            resolveId (id) {
+                if (id === 'virtual') {
+                    return '\0virtual';
+                }
+            },
+            load (id) {
+                if (id === '\0virtual') {
+                    return 'export default 123';
+                }
+            },
+            transform (code, id) {
+                transformed.push(id);
+            }
+        };
+
+        await build(undefined, [virtualPlugin]);
+        transformed = [];
+
+        await build(undefined, [virtualPlugin]);
+        expect(transformed).to.deep.equal(['\0virtual']);
+    });
+
+    it ('should remove cache files when cleared', async () => {
+        await build();
+        NollupCache.clear('.cache');
+        expect(fs.readdirSync(path.resolve(process.cwd(), '.cache')).length).to.equal(0);
+
+        transformed = [];
+        await build();
+        expect(transformed).to.deep.equal(['main.js', 'dep.js']);
+    });
+});
@@ -1,8 +1,11 @@
 let proxyquire = require('proxyquire');
 let { expect, fs, nollup } = require('../nollup');
 let path = require('path');
+let http = require('http');
+let WS = require('ws');
 
 let chokidar = {
+    '@global': true,
     _callbacks: [],
     watch: function (basedir, options) {
         this.basedir = basedir;
@@ -11,6 +14,10 @@ let chokidar = {
         return {
             on: (event, callback) => {
                 this._callbacks.push({ event, callback });
+            },
+
+            close: () => {
+                this.closed = true;
             }
         }
     },
@@ -27,6 +34,7 @@ let chokidar = {
         this._callbacks = [];
         this.basedir = undefined;
         this.options = undefined;
+        this.closed = false;
     }
 }
 
@@ -52,22 +60,36 @@ let WebSocket = function (url) {
                     handle.callback();
                 }
             })
+        },
+
+        receive: function (data) {
+            return this.receiveText(JSON.stringify(data));
+        },
+
+        receiveText: function (text) {
+            return Promise.all(this._callbacks.filter(handle => handle.event === 'message').map(handle => {
+                return handle.callback(text);
+            }));
         }
     };
 
     expressWs._callbacks.forEach(handle => {
-        if (handle.path === url) {
-            handle.callback(inst);
+        if (handle.path === url.split('?')[0]) {
+            handle.callback(inst, { url });
         }
     });
 
     return inst;
 };
 
-let middleware = proxyquire('../../lib/dev-middleware', { 
-    './index': nollup,
+let core = proxyquire('../../lib/impl/DevMiddlewareCore', {
+    '../index': nollup,
     'chokidar': chokidar,
-    'fs': fs,
+    'fs': fs
+});
+
+let middleware = proxyquire('../../lib/dev-middleware', { 
+    './impl/DevMiddlewareCore': core,
     'express-ws': (app) => {
         app.ws = function (path, callback) {
             expressWs._callbacks.push({ path, callback });
@@ -100,6 +122,11 @@ function createResponse (callback) {
     }
 }
 
+// Plugins are asked which modules a change affects before the bundles are compiled again.
+function waitForInvalidation () {
+    return new Promise(resolve => setTimeout(resolve, 10));
+}
+
 function createNext (next) {
     return next || (() => {});
 }
@@ -221,6 +248,32 @@ describe('Dev Middleware', () => {
         );
     });
 
+    it ('should serve the source map next to the file if file option is used', function (done) {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'public/dist/bundle.js',
+                format: 'esm',
+                sourcemap: true
+            }
+        };
+
+        middleware({}, config, {})(
+            createRequest('/public/dist/bundle.js.map'),
+            createResponse(res => {
+                expect(res.status).to.equal(200);
+                expect(res.headers['Content-Type']).to.equal('application/json');
+                expect(JSON.parse(res.body).sources).to.deep.equal(['../../src/main.js']);
+                done();
+            }),
+            createNext()
+        );
+    });
+
     it ('should remove contentBase from file if file options outputs to contentBase', function (done) {
         this.timeout(5000);
 
@@ -462,16 +515,16 @@ describe('Dev Middleware', () => {
         middleware({}, config, {})(
             createRequest('/bundle.js'), 
             createResponse(res => {
-                throw new Error('should not be here');
+                expect(logs.length > 0).to.be.true;
+                expect(logs[0].indexOf('Transform Error') > -1).to.be.true;
+                expect(res.status).to.equal(500);
+                expect(res.headers['Content-Type']).to.equal('application/javascript');
+                expect(res.body.startsWith('throw new Error(')).to.be.true;
+                expect(res.body.indexOf('Transform Error') > -1).to.be.true;
+                done();
             }), 
             createNext()
         );
-
-        setTimeout(() => {
-            expect(logs.length > 0).to.be.true;
-            expect(logs[0].indexOf('Transform Error') > -1).to.be.true;
-            done();
-        }, 2000);
     });
 
     it ('should watch for file changes and trigger rebundle on change', function (done) {
@@ -525,15 +578,18 @@ describe('Dev Middleware', () => {
         let mw = middleware({}, config, {});
 
         mwFetch(mw, '/bundle.js').then(res => {
-            expect(res.body.indexOf('456') > -1).to.be.true;
-            done();
-        });
+            expect(res.status).to.equal(500);
 
-        setTimeout(() => {
             phase++;
             fs.stub('./src/main.js', () => 'export default 456');
             chokidar.trigger('change', './src/main.js');
-        }, 2000);
+
+            return mwFetch(mw, '/bundle.js');
+        }).then(res => {
+            expect(res.status).to.equal(200);
+            expect(res.body.indexOf('456') > -1).to.be.true;
+            done();
+        }).catch(done);
     });
 
 
@@ -900,6 +956,36 @@ describe('Dev Middleware', () => {
         });
     });
 
+    it ('should create a HMR endpoint for live reload without hot', function (done) {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            }
+        }
+
+        let mw = middleware({}, config, { liveReload: true });
+
+        mwFetch(mw, '/bundle.js').then(res => {
+            expect(expressWs._callbacks.length).to.equal(1);
+            expect(res.body.indexOf('"liveReload":true') > -1).to.be.true;
+
+            let ws = new WebSocket('/__hmr');
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+
+            mwFetch(mw, '/bundle.js').then(res => {
+                expect(ws._received[ws._received.length - 1].startsWith('{"changes":')).to.be.true;
+                done();
+            });
+        });
+    });
+
     it ('should create a HMR endpoint for each bundle if hot enabled', function (done) {
         this.timeout(5000);
 
@@ -986,25 +1072,75 @@ describe('Dev Middleware', () => {
             hot: true
         });
 
+        let ws;
+
         mwFetch(mw, '/bundle.js').then(res => {
-            let ws = new WebSocket('/__hmr');
+            ws = new WebSocket('/__hmr');
             fs.stub('./src/main.js', () => 'export default 456');
             chokidar.trigger('change', './src/main.js');
+            return waitForInvalidation();
+        }).then(() => {
             expect(ws._received.length).to.equal(2);
             expect(ws._received[1]).to.equal('{"status":"check"}');
+            return mwFetch(mw, '/bundle.js');
+        }).then(res => {
+            expect(ws._received.length).to.equal(5);
+            expect(ws._received[2]).to.equal('{"status":"prepare"}');
+            expect(ws._received[3]).to.equal('{"status":"ready"}');
+            expect(ws._received[4].startsWith('{"changes":')).to.be.true;
+            expect(ws._received[4].indexOf('456') > 1).to.be.true;
+            done();
+        }).catch(done);
+    });
 
-            mwFetch(mw, '/bundle.js').then(res => {
-                expect(ws._received.length).to.equal(5);
-                expect(ws._received[2]).to.equal('{"status":"prepare"}');
-                expect(ws._received[3]).to.equal('{"status":"ready"}');
-                expect(ws._received[4].startsWith('{"changes":')).to.be.true;
-                expect(ws._received[4].indexOf('456') > 1).to.be.true;
+    it ('should send HMR build errors with their details', function (done) {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            },
+            plugins: [{
+                name: 'my-plugin',
+                transform (code, id) {
+                    if (code.indexOf('456') > -1) {
+                        this.error({
+                            message: 'Transform Error',
+                            loc: { file: id, line: 1, column: 15 },
+                            frame: '1: export default 456'
+                        });
+                    }
+                }
+            }]
+        };
+
+        let mw = middleware({}, config, {
+            hot: true
+        });
+
+        mwFetch(mw, '/bundle.js').then(res => {
+            let ws = new WebSocket('/__hmr');
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+
+            setTimeout(() => {
+                let error = JSON.parse(ws._received[ws._received.length - 1]).error;
+                expect(error.message).to.equal('Transform Error');
+                expect(error.plugin).to.equal('my-plugin');
+                expect(error.file).to.equal(path.resolve('./src/main.js').replace(process.cwd(), ''));
+                expect(error.line).to.equal(1);
+                expect(error.column).to.equal(15);
+                expect(error.frame).to.equal('1: export default 456');
                 done();
-            });
+            }, 1000);
         });
     });
 
-    it ('should not send HMR updates to closed connections', function (done) {
+    it ('should send HMR syntax errors with their location and code frame', function (done) {
         this.timeout(5000);
 
         fs.stub('./src/main.js', () => 'export default 123');
@@ -1023,94 +1159,136 @@ describe('Dev Middleware', () => {
 
         mwFetch(mw, '/bundle.js').then(res => {
             let ws = new WebSocket('/__hmr');
-            fs.stub('./src/main.js', () => 'export default 456');
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
             chokidar.trigger('change', './src/main.js');
-            expect(ws._received.length).to.equal(2);
 
-            mwFetch(mw, '/bundle.js').then(res => {
-                expect(ws._received.length).to.equal(5);
-                ws.close();
-                mwFetch(mw, '/bundle.js').then(res => {
-                    expect(ws._received.length).to.equal(5);
-                    done();
-                });
-            });
+            setTimeout(() => {
+                let error = JSON.parse(ws._received[ws._received.length - 1]).error;
+                expect(error.message).to.equal('Unexpected token (1:22)');
+                expect(error.file).to.equal(path.resolve('./src/main.js').replace(process.cwd(), ''));
+                expect(error.line).to.equal(1);
+                expect(error.column).to.equal(22);
+                expect(error.frame).to.equal('    export default 123;;;(\n                          ^');
+                done();
+            }, 1000);
         });
-    });    
+    });
 
-    it ('should allow publicPath to be prefixed to all assets and chunks', async function () {
+    it ('should send custom HMR events from plugins and pass client events to plugins', async function () {
         this.timeout(5000);
 
-        fs.stub('./src/other.js', () => 'export default 456')
-        fs.stub('./src/main.js', () => 'import("./other");export default 123');
+        fs.stub('./src/main.js', () => 'export default 123');
 
+        let received = [];
         let config = {
             input: './src/main.js',
             output: {
-                dir: 'dist',
-                assetFileNames: '[name][extname]',
-                entryFileNames: '[name].js',
-                chunkFileNames: 'chunk-[name].js',
+                file: 'bundle.js',
                 format: 'esm'
             },
             plugins: [{
-                transform (code) {
-                    this.emitAsset('style.css', '.hello{}');
+                nollupHotEvent (event, data) {
+                    received.push({ event, data });
+                    this.hot.send('translations', { greeting: 'hello' });
                 }
             }]
         };
 
         let mw = middleware({}, config, {
-            publicPath: 'client'
+            hot: true
         });
 
-        let bundleRes = await mwFetch(mw, '/client/main.js');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+        await mwFetch(mw, '/bundle.js');
+        let ws = new WebSocket('/__hmr');
+        await ws.receive({ event: 'get-translations', data: { lang: 'en' } });
 
-        let assetRes = await mwFetch(mw, '/client/style.css');
-        expect(assetRes.status).to.equal(200);
-        expect(assetRes.body.indexOf('.hello{}') > -1).to.be.true;
+        expect(received).to.deep.equal([{ event: 'get-translations', data: { lang: 'en' } }]);
+        expect(ws._received[1]).to.equal('{"event":"translations","data":{"greeting":"hello"}}');
+    });
 
-        let dynRes = await mwFetch(mw, '/client/chunk-other.js');
-        expect(dynRes.status).to.equal(200);
-        expect(dynRes.body.indexOf('456') > -1).to.be.true;
+    it ('should ignore malformed HMR messages from the client', async function () {
+        this.timeout(5000);
 
-        let passed = false;
-        try {
-            let badRes = await mwFetch(mw, '/main.css');
-        } catch (e) {
-            expect(e.indexOf('file not found') > -1).to.be.true;
-            passed = true;
-        }
-        
-        expect(passed).to.be.true;
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let received = [];
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            },
+            plugins: [{
+                nollupHotEvent (event, data) {
+                    received.push(event);
+                }
+            }]
+        };
+
+        let mw = middleware({}, config, {
+            hot: true
+        });
+
+        await mwFetch(mw, '/bundle.js');
+        let ws = new WebSocket('/__hmr');
+
+        await ws.receiveText('not json');
+        await ws.receiveText('null');
+        await ws.receiveText('"text"');
+        await ws.receive({ event: 123 });
+        await ws.receive({ event: 'valid' });
+
+        expect(received).to.deep.equal(['valid']);
+        await mw.close();
     });
 
-    it ('should allow publicPath to have slash at start of url', async function () {
+    it ('should compile modules invalidated by plugins again', async function () {
         this.timeout(5000);
 
-        fs.stub('./src/main.js', () => 'export default 123');
+        fs.stub('./src/main.js', () => 'import message from "virtual-message"; export default message;');
 
+        let message = 'hello';
         let config = {
             input: './src/main.js',
             output: {
-                dir: 'dist',
-                entryFileNames: '[name].js',
+                file: 'bundle.js',
                 format: 'esm'
-            }
+            },
+            plugins: [{
+                resolveId (id) {
+                    if (id === 'virtual-message') {
+                        return '\0virtual-message';
+                    }
+                },
+
+                load (id) {
+                    if (id === '\0virtual-message') {
+                        return 'export default "' + message + '";';
+                    }
+                },
+
+                nollupHotEvent (event) {
+                    message = 'world';
+                    this.hot.invalidate('\0virtual-message');
+                }
+            }]
         };
 
         let mw = middleware({}, config, {
-            publicPath: '/client'
+            hot: true
         });
 
-        let bundleRes = await mwFetch(mw, '/client/main.js');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+        await mwFetch(mw, '/bundle.js');
+        let ws = new WebSocket('/__hmr');
+        await ws.receive({ event: 'refresh' });
+
+        let res = await mwFetch(mw, '/bundle.js');
+        expect(res.body.indexOf('world') > -1).to.be.true;
+        expect(ws._received.slice(1, 4)).to.deep.equal(['{"status":"check"}', '{"status":"prepare"}', '{"status":"ready"}']);
+        expect(ws._received[4].indexOf('world') > -1).to.be.true;
     });
 
-    it ('should allow publicPath to have slash at end of url', async function () {
+    it ('should send the changes missed by reconnecting clients', async function () {
         this.timeout(5000);
 
         fs.stub('./src/main.js', () => 'export default 123');
@@ -1118,22 +1296,40 @@ describe('Dev Middleware', () => {
         let config = {
             input: './src/main.js',
             output: {
-                dir: 'dist',
-                entryFileNames: '[name].js',
+                file: 'bundle.js',
                 format: 'esm'
             }
         };
 
         let mw = middleware({}, config, {
-            publicPath: 'client/'
+            hot: true
         });
 
-        let bundleRes = await mwFetch(mw, '/client/main.js');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+        let res = await mwFetch(mw, '/bundle.js');
+        let buildId = res.body.match(/"buildId":"(.*?)"/)[1];
+
+        fs.stub('./src/main.js', () => 'export default 456');
+        chokidar.trigger('change', './src/main.js');
+        await mwFetch(mw, '/bundle.js');
+
+        fs.stub('./src/main.js', () => 'export default 789');
+        chokidar.trigger('change', './src/main.js');
+        res = await mwFetch(mw, '/bundle.js');
+        let latestBuildId = res.body.match(/"buildId":"(.*?)"/)[1];
+
+        let ws = new WebSocket('/__hmr?buildId=' + buildId);
+        expect(ws._received.length).to.equal(2);
+
+        let message = JSON.parse(ws._received[1]);
+        expect(message.buildId).to.equal(latestBuildId);
+        expect(message.changes.length).to.equal(1);
+        expect(message.changes[0].code.indexOf('789') > -1).to.be.true;
+
+        ws = new WebSocket('/__hmr?buildId=' + latestBuildId);
+        expect(ws._received).to.deep.equal(['{"greeting":true}']);
     });
 
-    it ('should add headers provided', async function () {
+    it ('should ask reconnecting clients to reload if their build is unknown', async function () {
         this.timeout(5000);
 
         fs.stub('./src/main.js', () => 'export default 123');
@@ -1141,54 +1337,68 @@ describe('Dev Middleware', () => {
         let config = {
             input: './src/main.js',
             output: {
-                dir: 'dist',
-                entryFileNames: '[name].js',
+                file: 'bundle.js',
                 format: 'esm'
             }
         };
 
         let mw = middleware({}, config, {
-            publicPath: 'client/',
-            headers: {"Access-Control-Allow-Origin": "*"}
+            hot: true
         });
 
-        let bundleRes = await mwFetch(mw, '/client/main.js');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.headers['Access-Control-Allow-Origin']).to.equal("*");
+        await mwFetch(mw, '/bundle.js');
+        let ws = new WebSocket('/__hmr?buildId=previous-server.1');
+        expect(ws._received).to.deep.equal(['{"greeting":true}', '{"reload":true}']);
     });
 
-    it ('should check for index.html if accessing /', async function () {
+    it ('should send HMR asset changes', async function () {
         this.timeout(5000);
 
+        let css = 'body { color: red; }';
         fs.stub('./src/main.js', () => 'export default 123');
 
         let config = {
             input: './src/main.js',
             output: {
                 dir: 'dist',
-                entryFileNames: '[name].js',
-                assetFileNames: '[name].[hash][extname]',
-                format: 'esm'
+                format: 'esm',
+                assetFileNames: '[name]-[hash][extname]'
             },
             plugins: [{
-                transform (code) {
-                    this.emitFile({
-                        fileName: 'index.html',
-                        type: 'asset',
-                        source: '<p>hello world</p>'
-                    });
+                generateBundle () {
+                    this.emitFile({ type: 'asset', name: 'style.css', source: css });
+                    this.emitFile({ type: 'asset', fileName: 'static.txt', source: 'static' });
                 }
             }]
         };
 
-        let mw = middleware({}, config, {});
+        let mw = middleware({}, config, {
+            hot: true
+        });
 
-        let bundleRes = await mwFetch(mw, '/');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.body.indexOf('<p>hello world</p>') > -1).to.be.true;
+        await mwFetch(mw, '/main.js');
+        let ws = new WebSocket('/__hmr');
+
+        chokidar.trigger('change', './src/main.js');
+        await mwFetch(mw, '/main.js');
+        expect(ws._received.some(m => m.indexOf('"assets"') > -1)).to.be.false;
+
+        css = 'body { color: blue; }';
+        chokidar.trigger('change', './src/main.js');
+        await mwFetch(mw, '/main.js');
+
+        let message = JSON.parse(ws._received[ws._received.length - 1]);
+        expect(message.assets.length).to.equal(1);
+        expect(message.assets[0].name).to.equal('style.css');
+        expect(message.assets[0].previous).to.match(/^\/style-.*\.css$/);
+        expect(message.assets[0].url).to.match(/^\/style-.*\.css$/);
+        expect(message.assets[0].url).not.to.equal(message.assets[0].previous);
+
+        let res = await mwFetch(mw, message.assets[0].url);
+        expect(res.body).to.equal('body { color: blue; }');
     });
 
-    it ('should check for index.html if accessing public path', async function () {
+    it ('should not send HMR updates to closed connections', function (done) {
         this.timeout(5000);
 
         fs.stub('./src/main.js', () => 'export default 123');
@@ -1196,28 +1406,926 @@ describe('Dev Middleware', () => {
         let config = {
             input: './src/main.js',
             output: {
-                dir: 'dist',
-                entryFileNames: '[name].js',
-                assetFileNames: '[name].[hash][extname]',
+                file: 'bundle.js',
                 format: 'esm'
-            },
-            plugins: [{
-                transform (code) {
-                    this.emitFile({
-                        fileName: 'index.html',
-                        type: 'asset',
-                        source: '<p>hello world</p>'
-                    });
-                }
-            }]
+            }
         };
 
         let mw = middleware({}, config, {
-            publicPath: 'client'
+            hot: true
         });
 
-        let bundleRes = await mwFetch(mw, '/client/');
-        expect(bundleRes.status).to.equal(200);
-        expect(bundleRes.body.indexOf('<p>hello world</p>') > -1).to.be.true;
+        let ws;
+
+        mwFetch(mw, '/bundle.js').then(res => {
+            ws = new WebSocket('/__hmr');
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+            return waitForInvalidation();
+        }).then(() => {
+            expect(ws._received.length).to.equal(2);
+            return mwFetch(mw, '/bundle.js');
+        }).then(res => {
+            expect(ws._received.length).to.equal(5);
+            ws.close();
+            return mwFetch(mw, '/bundle.js');
+        }).then(res => {
+            expect(ws._received.length).to.equal(5);
+            done();
+        }).catch(done);
+    });    
+
+    it ('should allow publicPath to be prefixed to all assets and chunks', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/other.js', () => 'export default 456')
+        fs.stub('./src/main.js', () => 'import("./other");export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                assetFileNames: '[name][extname]',
+                entryFileNames: '[name].js',
+                chunkFileNames: 'chunk-[name].js',
+                format: 'esm'
+            },
+            plugins: [{
+                transform (code) {
+                    this.emitAsset('style.css', '.hello{}');
+                }
+            }]
+        };
+
+        let mw = middleware({}, config, {
+            publicPath: 'client'
+        });
+
+        let bundleRes = await mwFetch(mw, '/client/main.js');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+
+        let assetRes = await mwFetch(mw, '/client/style.css');
+        expect(assetRes.status).to.equal(200);
+        expect(assetRes.body.indexOf('.hello{}') > -1).to.be.true;
+
+        let dynRes = await mwFetch(mw, '/client/chunk-other.js');
+        expect(dynRes.status).to.equal(200);
+        expect(dynRes.body.indexOf('456') > -1).to.be.true;
+
+        let passed = false;
+        try {
+            let badRes = await mwFetch(mw, '/main.css');
+        } catch (e) {
+            expect(e.indexOf('file not found') > -1).to.be.true;
+            passed = true;
+        }
+        
+        expect(passed).to.be.true;
+    });
+
+    it ('should allow publicPath to have slash at start of url', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                entryFileNames: '[name].js',
+                format: 'esm'
+            }
+        };
+
+        let mw = middleware({}, config, {
+            publicPath: '/client'
+        });
+
+        let bundleRes = await mwFetch(mw, '/client/main.js');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+    });
+
+    it ('should allow publicPath to have slash at end of url', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                entryFileNames: '[name].js',
+                format: 'esm'
+            }
+        };
+
+        let mw = middleware({}, config, {
+            publicPath: 'client/'
+        });
+
+        let bundleRes = await mwFetch(mw, '/client/main.js');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.body.indexOf('123') > -1).to.be.true;
+    });
+
+    it ('should add headers provided', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                entryFileNames: '[name].js',
+                format: 'esm'
+            }
+        };
+
+        let mw = middleware({}, config, {
+            publicPath: 'client/',
+            headers: {"Access-Control-Allow-Origin": "*"}
+        });
+
+        let bundleRes = await mwFetch(mw, '/client/main.js');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.headers['Access-Control-Allow-Origin']).to.equal("*");
+    });
+
+    it ('should check for index.html if accessing /', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                entryFileNames: '[name].js',
+                assetFileNames: '[name].[hash][extname]',
+                format: 'esm'
+            },
+            plugins: [{
+                transform (code) {
+                    this.emitFile({
+                        fileName: 'index.html',
+                        type: 'asset',
+                        source: '<p>hello world</p>'
+                    });
+                }
+            }]
+        };
+
+        let mw = middleware({}, config, {});
+
+        let bundleRes = await mwFetch(mw, '/');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.body.indexOf('<p>hello world</p>') > -1).to.be.true;
+    });
+
+    it ('should check for index.html if accessing public path', async function () {
+        this.timeout(5000);
+
+        fs.stub('./src/main.js', () => 'export default 123');
+
+        let config = {
+            input: './src/main.js',
+            output: {
+                dir: 'dist',
+                entryFileNames: '[name].js',
+                assetFileNames: '[name].[hash][extname]',
+                format: 'esm'
+            },
+            plugins: [{
+                transform (code) {
+                    this.emitFile({
+                        fileName: 'index.html',
+                        type: 'asset',
+                        source: '<p>hello world</p>'
+                    });
+                }
+            }]
+        };
+
+        let mw = middleware({}, config, {
+            publicPath: 'client'
+        });
+
+        let bundleRes = await mwFetch(mw, '/client/');
+        expect(bundleRes.status).to.equal(200);
+        expect(bundleRes.body.indexOf('<p>hello world</p>') > -1).to.be.true;
+    });
+
+    describe('Adapters', () => {
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            }
+        };
+
+        beforeEach(() => {
+            fs.stub('./src/main.js', () => 'export default 123');
+        });
+
+        it ('should serve files with plain Node request handlers', async function () {
+            this.timeout(5000);
+
+            let handler = middleware.http(config, {});
+
+            let res = await new Promise(resolve => handler(createRequest('/bundle.js'), createResponse(resolve)));
+            expect(res.status).to.equal(200);
+            expect(res.body.indexOf('123') > -1).to.be.true;
+
+            res = await new Promise(resolve => handler(createRequest('/missing.js'), createResponse(resolve)));
+            expect(res.status).to.equal(404);
+
+            expect(middleware.connect).to.equal(middleware.http);
+        });
+
+        it ('should serve files with Koa and pass other requests on', async function () {
+            this.timeout(5000);
+
+            let koa = middleware.koa(config, {});
+            let nextCalled = false;
+            let next = async () => nextCalled = true;
+
+            let ctx = { req: createRequest('/bundle.js'), res: createResponse(() => {}) };
+            await koa(ctx, next);
+            expect(ctx.respond).to.be.false;
+            expect(ctx.res.status).to.equal(200);
+            expect(nextCalled).to.be.false;
+
+            ctx = { req: createRequest('/missing.js'), res: createResponse(() => {}) };
+            await koa(ctx, next);
+            expect(ctx.respond).to.be.undefined;
+            expect(nextCalled).to.be.true;
+        });
+
+        it ('should upgrade HMR websockets on the server', async function () {
+            this.timeout(5000);
+
+            let handler = middleware.http(config, { hot: true });
+            let server = http.createServer(handler);
+            handler.attach(server);
+
+            await new Promise(resolve => server.listen(0, 'localhost', resolve));
+            let socket = new WS('ws://localhost:' + server.address().port + '/__hmr');
+            let message = await new Promise(resolve => socket.on('message', resolve));
+
+            expect(message).to.equal('{"greeting":true}');
+
+            socket.close();
+            await new Promise(resolve => server.close(resolve));
+        });
+    });
+
+    describe('Lifecycle', () => {
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            }
+        };
+
+        beforeEach(() => {
+            fs.stub('./src/main.js', () => 'export default 123');
+        });
+
+        it ('should wait until the bundles are valid and return the files', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            let called = false;
+
+            await mw.waitUntilValid(() => called = true);
+            expect(called).to.be.true;
+            expect(mw.getFiles()['bundle.js'].indexOf('123') > -1).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should emit compile and compiled events', async function () {
+            this.timeout(5000);
+
+            let events = [];
+            let mw = middleware.http(config, {});
+            mw.on('compile', () => events.push('compile'));
+            mw.on('compiled', stats => events.push(typeof stats.time));
+
+            await mw.waitUntilValid();
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+            await mw.waitUntilValid();
+
+            expect(events).to.deep.equal(['compile', 'number', 'compile', 'number']);
+            expect(mw.getFiles()['bundle.js'].indexOf('456') > -1).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should emit error events when the build fails', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+
+            let mw = middleware.koa(config, {});
+            let error = await new Promise(resolve => mw.once('error', resolve));
+            expect(error.message).to.contain('Unexpected token');
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+            await mw.waitUntilValid();
+
+            expect(mw.getFiles()['bundle.js'].indexOf('456') > -1).to.be.true;
+            await mw.close();
+        });
+
+        it ('should compile again when invalidated', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            await mw.waitUntilValid();
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            mw.invalidate(path.resolve('./src/main.js'));
+            expect(mw.getFiles()['bundle.js'].indexOf('123') > -1).to.be.true;
+
+            await mw.waitUntilValid();
+            expect(mw.getFiles()['bundle.js'].indexOf('456') > -1).to.be.true;
+
+            let compiled = false;
+            mw.once('compiled', () => compiled = true);
+            mw.invalidate();
+            await mw.waitUntilValid();
+            expect(compiled).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should be valid after invalidating a file which no bundle contains', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            await mw.waitUntilValid();
+
+            let compiled = false;
+            mw.once('compiled', () => compiled = true);
+            mw.invalidate(path.resolve('./README.md'));
+
+            let valid = false;
+            await Promise.race([
+                mw.waitUntilValid(() => valid = true),
+                new Promise(resolve => setTimeout(resolve, 1000))
+            ]);
+
+            expect(valid).to.be.true;
+            expect(compiled).to.be.false;
+            await mw.close();
+        });
+
+        it ('should close the file watcher and HMR connections', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, { hot: true });
+            await mw.waitUntilValid();
+
+            let ws = new WebSocket('/__hmr');
+            let closed = false;
+            ws.on('close', () => closed = true);
+
+            let onClose = false;
+            mw.on('close', () => onClose = true);
+            await mw.close();
+
+            expect(chokidar.closed).to.be.true;
+            expect(closed).to.be.true;
+            expect(onClose).to.be.true;
+
+            let nextCalled = false;
+            mw(createRequest('/bundle.js'), createResponse(() => {}), () => nextCalled = true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(nextCalled).to.be.true;
+        });
+    });
+
+    describe('Build Errors', () => {
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            }
+        };
+
+        function fetchStatus (mw) {
+            return mwFetch(mw, '/__nollup/status').then(res => JSON.parse(res.body));
+        }
+
+        beforeEach(() => {
+            fs.stub('./src/main.js', () => 'export default 123');
+        });
+
+        it ('should keep serving the last good bundle when a rebuild fails', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            await mw.waitUntilValid();
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+            chokidar.trigger('change', './src/main.js');
+
+            let res = await mwFetch(mw, '/bundle.js');
+            expect(res.status).to.equal(200);
+            expect(res.body.indexOf('123') > -1).to.be.true;
+            expect(logs.some(log => log.indexOf('Unexpected token') > -1)).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should respond with an error page if no build has succeeded', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+
+            let mw = middleware({}, config, {});
+            let res = await new Promise(resolve => mw(
+                { url: '/', headers: { accept: 'text/html' } },
+                createResponse(resolve),
+                createNext()
+            ));
+
+            expect(res.status).to.equal(500);
+            expect(res.headers['Content-Type']).to.equal('text/html');
+            expect(res.body).to.contain('<pre>[Nollup] Build failed: ');
+            expect(res.body).to.contain('/src/main.js (1:');
+
+            let nextCalled = false;
+            mw(createRequest('/styles.css'), createResponse(() => {}), () => nextCalled = true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(nextCalled).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should only answer the files of the failing bundle with the error', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+
+            let mw = middleware({}, {
+                input: { app: './src/main.js' },
+                output: { dir: 'dist', entryFileNames: '[name].[hash].js', format: 'esm' }
+            }, {});
+
+            await new Promise(resolve => mw.once('error', resolve));
+
+            let res = await mwFetch(mw, '/app.abc123.js');
+            expect(res.status).to.equal(500);
+            expect(res.body).to.contain('Unexpected token');
+
+            let nextCalled = false;
+            mw(createRequest('/vendor/lib.js'), createResponse(() => {}), () => nextCalled = true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(nextCalled).to.be.true;
+
+            nextCalled = false;
+            mw(createRequest('/other.js'), createResponse(() => {}), () => nextCalled = true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(nextCalled).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should pass other scripts on after a rebuild fails', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            await mw.waitUntilValid();
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+            chokidar.trigger('change', './src/main.js');
+            await new Promise(resolve => mw.once('error', resolve));
+
+            let nextCalled = false;
+            mw(createRequest('/vendor/lib.js'), createResponse(() => {}), () => nextCalled = true);
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(nextCalled).to.be.true;
+
+            let res = await mwFetch(mw, '/bundle.js');
+            expect(res.status).to.equal(200);
+
+            await mw.close();
+        });
+
+        it ('should report the build status', async function () {
+            this.timeout(5000);
+
+            let mw = middleware.http(config, {});
+            expect(await fetchStatus(mw)).to.deep.equal({ status: 'compiling' });
+
+            await mw.waitUntilValid();
+            let status = await fetchStatus(mw);
+            expect(status.status).to.equal('ok');
+            expect(typeof status.time).to.equal('number');
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+            mw.invalidate(path.resolve('./src/main.js'));
+            await new Promise(resolve => mw.once('error', resolve));
+
+            status = await fetchStatus(mw);
+            expect(status.status).to.equal('error');
+            expect(status.error.message).to.contain('Unexpected token');
+            expect(status.error.file).to.equal('/src/main.js');
+
+            await mw.close();
+        });
+
+        it ('should send the build error to new HMR connections', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, { hot: true });
+            await mw.waitUntilValid();
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+            chokidar.trigger('change', './src/main.js');
+            await new Promise(resolve => mw.once('error', resolve));
+
+            let ws = new WebSocket('/__hmr');
+            expect(ws._received.length).to.equal(2);
+            expect(JSON.parse(ws._received[1]).error.message).to.contain('Unexpected token');
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+            await mw.waitUntilValid();
+
+            ws = new WebSocket('/__hmr');
+            expect(ws._received).to.deep.equal(['{"greeting":true}']);
+            await mw.close();
+        });
+
+        it ('should only be valid after the build is fixed', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/main.js', () => 'export default 123;;;(');
+
+            let mw = middleware({}, config, {});
+            let valid = false;
+            let promise = mw.waitUntilValid(() => valid = true);
+
+            await new Promise(resolve => mw.once('error', resolve));
+            expect(valid).to.be.false;
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+            await promise;
+
+            expect(valid).to.be.true;
+            await mw.close();
+        });
+    });
+
+    describe('Affected Bundles', () => {
+        let generated;
+
+        function createConfig () {
+            generated = [];
+
+            // Each config has its own plugin instance, so builds can be counted per bundle.
+            let counter = name => ({
+                generateBundle () {
+                    generated.push(name);
+                }
+            });
+
+            return [{
+                input: './src/main-a.js',
+                output: { file: 'bundle-a.js', format: 'esm' },
+                plugins: [counter('a')]
+            }, {
+                input: './src/main-b.js',
+                output: { file: 'bundle-b.js', format: 'esm' },
+                plugins: [counter('b'), {
+                    transform (code, id) {
+                        if (id.endsWith('main-b.js')) {
+                            this.addWatchFile(path.resolve('./src/data.json'));
+                        }
+                    }
+                }]
+            }];
+        }
+
+        beforeEach(() => {
+            fs.stub('./src/main-a.js', () => 'import shared from "./shared.js"; export default 123 + shared');
+            fs.stub('./src/main-b.js', () => 'import shared from "./shared.js"; export default 456 + shared');
+            fs.stub('./src/shared.js', () => 'export default 1');
+            fs.stub('./src/data.json', () => '{}');
+            fs.stub('./src/other.js', () => 'export default 789');
+        });
+
+        it ('should only rebuild and notify the bundles containing the changed file', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, createConfig(), { hot: true });
+            await mw.waitUntilValid();
+
+            let wsA = new WebSocket('/__hmr');
+            let wsB = new WebSocket('/__hmr1');
+            generated = [];
+
+            fs.stub('./src/main-a.js', () => 'export default 999');
+            chokidar.trigger('change', './src/main-a.js');
+            await mw.waitUntilValid();
+
+            expect(generated).to.deep.equal(['a']);
+            expect(wsA._received.slice(1).map(msg => Object.keys(JSON.parse(msg))[0])).to.deep.equal(['status', 'status', 'status', 'changes']);
+            expect(wsB._received.length).to.equal(1);
+            expect(mw.getFiles()['bundle-a.js'].indexOf('999') > -1).to.be.true;
+            expect(mw.getFiles()['bundle-b.js'].indexOf('456') > -1).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should rebuild every bundle containing a shared file', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, createConfig(), { hot: true });
+            await mw.waitUntilValid();
+            generated = [];
+
+            fs.stub('./src/shared.js', () => 'export default 2');
+            chokidar.trigger('change', './src/shared.js');
+            await mw.waitUntilValid();
+
+            expect(generated.sort()).to.deep.equal(['a', 'b']);
+            await mw.close();
+        });
+
+        it ('should rebuild bundles watching the changed file', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, createConfig(), {});
+            await mw.waitUntilValid();
+            generated = [];
+
+            chokidar.trigger('change', './src/data.json');
+            await mw.waitUntilValid();
+
+            expect(generated).to.deep.equal(['b']);
+            await mw.close();
+        });
+
+        it ('should not rebuild if no bundle contains the changed file', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, createConfig(), {});
+            await mw.waitUntilValid();
+            generated = [];
+
+            chokidar.trigger('change', './src/other.js');
+            await new Promise(resolve => setTimeout(resolve, 200));
+
+            expect(generated).to.deep.equal([]);
+            expect(mw.getStatus().status).to.equal('ok');
+            await mw.close();
+        });
+
+        it ('should rebuild bundles which plugins add modules to in nollupHotUpdate', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/styles.css', () => '.a {}');
+
+            let config = createConfig();
+            config[1].plugins.push({
+                nollupHotUpdate ({ file, modules }) {
+                    if (file.endsWith('.css')) {
+                        return modules.concat(path.resolve(process.cwd(), './src/main-b.js'));
+                    }
+                }
+            });
+
+            let mw = middleware({}, config, { hot: true });
+            await mw.waitUntilValid();
+
+            let wsA = new WebSocket('/__hmr');
+            generated = [];
+
+            chokidar.trigger('change', './src/styles.css');
+            await waitForInvalidation();
+            await mw.waitUntilValid();
+
+            expect(generated).to.deep.equal(['b']);
+            expect(wsA._received.length).to.equal(1);
+            await mw.close();
+        });
+
+        it ('should wait for changes made during a build before serving files', async function () {
+            this.timeout(5000);
+
+            let release, onBlocked;
+            let blocked = new Promise(resolve => onBlocked = resolve);
+            let gate = new Promise(resolve => release = resolve);
+
+            let mw = middleware({}, {
+                input: './src/main-a.js',
+                output: { file: 'bundle-a.js', format: 'esm' },
+                plugins: [{
+                    transform (code) {
+                        if (code.indexOf('456') > -1) {
+                            onBlocked();
+                            return gate.then(() => null);
+                        }
+                    }
+                }]
+            }, {});
+
+            await mw.waitUntilValid();
+
+            fs.stub('./src/main-a.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main-a.js');
+            await blocked;
+
+            fs.stub('./src/main-a.js', () => 'export default 789');
+            chokidar.trigger('change', './src/main-a.js');
+            await waitForInvalidation();
+
+            let valid = mw.waitUntilValid().then(() => mw.getFiles()['bundle-a.js']);
+            let fetched = mwFetch(mw, '/bundle-a.js');
+            release();
+
+            expect((await valid).indexOf('789') > -1).to.be.true;
+            expect((await fetched).body.indexOf('789') > -1).to.be.true;
+            expect(mw.getStatus().status).to.equal('ok');
+            await mw.close();
+        });
+
+        it ('should rebuild failed bundles on any change', async function () {
+            this.timeout(5000);
+
+            fs.stub('./src/main-b.js', () => 'import missing from "./missing.js"; export default missing');
+
+            let mw = middleware({}, createConfig(), {});
+            await new Promise(resolve => mw.once('error', resolve));
+            generated = [];
+
+            fs.stub('./src/missing.js', () => 'export default 1');
+            chokidar.trigger('change', './src/missing.js');
+            await mw.waitUntilValid();
+
+            expect(generated).to.deep.equal(['b']);
+            expect(mw.getStatus().status).to.equal('ok');
+            await mw.close();
+        });
+    });
+
+    describe('Caching', () => {
+        let config = {
+            input: './src/main.js',
+            output: {
+                file: 'bundle.js',
+                format: 'esm'
+            }
+        };
+
+        function request (mw, url, headers) {
+            return new Promise(resolve => mw({ url, headers }, createResponse(resolve), createNext()));
+        }
+
+        beforeEach(() => {
+            fs.stub('./src/main.js', () => 'export default 123');
+        });
+
+        it ('should respond with 304 if the ETag matches', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            let res = await request(mw, '/bundle.js');
+            let etag = res.headers['ETag'];
+
+            expect(res.status).to.equal(200);
+            expect(etag).to.match(/^".+"$/);
+            expect(res.headers['Cache-Control']).to.equal('no-cache');
+            expect(res.headers['Accept-Ranges']).to.equal('bytes');
+
+            res = await request(mw, '/bundle.js', { 'if-none-match': etag });
+            expect(res.status).to.equal(304);
+            expect(res.body).to.equal('');
+
+            res = await request(mw, '/bundle.js', { 'if-none-match': '"other", W/' + etag });
+            expect(res.status).to.equal(304);
+
+            fs.stub('./src/main.js', () => 'export default 456');
+            chokidar.trigger('change', './src/main.js');
+
+            res = await request(mw, '/bundle.js', { 'if-none-match': etag });
+            expect(res.status).to.equal(200);
+            expect(res.headers['ETag']).not.to.equal(etag);
+            expect(res.body.indexOf('456') > -1).to.be.true;
+
+            await mw.close();
+        });
+
+        it ('should keep the ETag and date of files which have not changed', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            let res = await request(mw, '/bundle.js');
+
+            mw.invalidate();
+            await mw.waitUntilValid();
+
+            let next = await request(mw, '/bundle.js');
+            expect(next.headers['ETag']).to.equal(res.headers['ETag']);
+            expect(next.headers['Last-Modified']).to.equal(res.headers['Last-Modified']);
+
+            await mw.close();
+        });
+
+        it ('should respond with 304 if not modified since the date', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            let res = await request(mw, '/bundle.js');
+            let lastModified = res.headers['Last-Modified'];
+
+            res = await request(mw, '/bundle.js', { 'if-modified-since': lastModified });
+            expect(res.status).to.equal(304);
+
+            res = await request(mw, '/bundle.js', { 'if-modified-since': new Date(Date.parse(lastModified) - 1000).toUTCString() });
+            expect(res.status).to.equal(200);
+
+            await mw.close();
+        });
+
+        it ('should respond with part of the file for range requests', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, config, {});
+            let full = await request(mw, '/bundle.js');
+            let size = Buffer.byteLength(full.body);
+
+            let res = await request(mw, '/bundle.js', { range: 'bytes=0-9' });
+            expect(res.status).to.equal(206);
+            expect(res.headers['Content-Range']).to.equal(`bytes 0-9/${size}`);
+            expect(res.headers['Content-Length']).to.equal(10);
+            expect(res.body.toString()).to.equal(full.body.substring(0, 10));
+
+            res = await request(mw, '/bundle.js', { range: 'bytes=-5' });
+            expect(res.headers['Content-Range']).to.equal(`bytes ${size - 5}-${size - 1}/${size}`);
+            expect(res.body.toString()).to.equal(full.body.substring(size - 5));
+
+            res = await request(mw, '/bundle.js', { range: `bytes=${size}-` });
+            expect(res.status).to.equal(416);
+            expect(res.headers['Content-Range']).to.equal(`bytes */${size}`);
+
+            res = await request(mw, '/bundle.js', { range: 'bytes=0-1,4-5' });
+            expect(res.status).to.equal(200);
+
+            res = await request(mw, '/bundle.js', { range: 'bytes=0-9', 'if-range': '"other"' });
+            expect(res.status).to.equal(200);
+
+            res = await request(mw, '/bundle.js', { range: 'bytes=0-9', 'if-range': full.headers['ETag'] });
+            expect(res.status).to.equal(206);
+
+            await mw.close();
+        });
+
+        it ('should use the Cache-Control of the first matching pattern', async function () {
+            this.timeout(5000);
+
+            let mw = middleware({}, {
+                input: './src/main.js',
+                output: { dir: 'dist', format: 'esm', assetFileNames: 'assets/[name][extname]' },
+                plugins: [{
+                    generateBundle () {
+                        this.emitFile({ type: 'asset', name: 'logo.png', source: 'png' });
+                        this.emitFile({ type: 'asset', fileName: 'styles.css', source: 'body {}' });
+                    }
+                }]
+            }, {
+                cacheControl: {
+                    'assets/**': 'max-age=3600',
+                    '**/*.png': 'no-store'
+                }
+            });
+
+            let res = await request(mw, '/assets/logo.png');
+            expect(res.headers['Cache-Control']).to.equal('max-age=3600');
+
+            res = await request(mw, '/styles.css');
+            expect(res.headers['Cache-Control']).to.equal('no-cache');
+
+            await mw.close();
+
+            mw = middleware({}, config, { cacheControl: 'max-age=60' });
+            res = await request(mw, '/bundle.js');
+            expect(res.headers['Cache-Control']).to.equal('max-age=60');
+
+            await mw.close();
+        });
     });
-});
\ No newline at end of file
+});
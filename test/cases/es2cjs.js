@@ -345,6 +345,7 @@ describe ('es_to_cjs', () => {
             to_check.code = to_check.code.trim().replace(/\s+/g, ' ');
 
             test.output.imports = test.output.imports.map(dep => {
+                dep.specifier = dep.source;
                 dep.source = path.resolve(process.cwd(), dep.source + (!path.extname(dep.source)? '.js' : ''));
                 return dep;
             });
@@ -2,7 +2,7 @@ let { nollup, fs, expect, rollup } = require('../../nollup');
 let { executeChunkedFiles } = require('./external-runtime.js');
 
 describe('External', () => {
-    ['esm', 'cjs', 'iife'].forEach(format => {
+    ['esm', 'cjs', 'iife', 'amd', 'umd', 'system'].forEach(format => {
         describe(format, () => {
             it ('should allow external array to work', async () => {
                 fs.stub('./src/impl.js', () => `export default true;`)
@@ -215,7 +215,7 @@ describe('External', () => {
     });
 
     describe ('Externals in Chunks', () => {
-        ['esm', 'cjs'].forEach(format => {
+        ['esm', 'cjs', 'amd', 'system'].forEach(format => {
             it ('should allow external imports for chunks (' + format + ')', async function () {
                 this.timeout(10000);
                 fs.stub('./src/chunk.js', () => `export { NamedExport1, NamedExport2 } from 'NamedModule';`)
@@ -241,7 +241,7 @@ describe('External', () => {
     })
 
     describe('Default Fallback', () => {
-        ['cjs', 'iife'].forEach(format => {
+        ['cjs', 'iife', 'amd', 'umd', 'system'].forEach(format => {
             it ('should fallback if default import not found for external (' + format + ')', async () => {
                 fs.stub('./src/main.js', () => `
                     import Default from "DefaultFallbackModule"; 
@@ -293,4 +293,63 @@ describe ('Misc', () => {
         expect(phase).to.equal(2);
         expect(passed).to.be.true;
     });
-});
\ No newline at end of file
+
+    it ('should transform sibling dependencies at the same time', async () => {
+        fs.stub('./src/main.js', () => 'import a from "./a"; import b from "./b"; export default a + b;');
+        fs.stub('./src/a.js', () => 'export default "a";');
+        fs.stub('./src/b.js', () => 'export default "b";');
+
+        let active = 0, maxActive = 0;
+
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: [{
+                async transform (code, id) {
+                    active++;
+                    maxActive = Math.max(active, maxActive);
+                    // The first dependency is the slowest, so it finishes last.
+                    await new Promise(resolve => setTimeout(resolve, id.endsWith('a.js')? 20 : 0));
+                    active--;
+                }
+            }]
+        });
+
+        let { output } = await bundle.generate({ format: 'esm' });
+        expect(maxActive).to.equal(2);
+        expect(output[0].code.indexOf('"a"') < output[0].code.indexOf('"b"')).to.be.true;
+        fs.reset();
+    });
+
+    it ('should report the module that failed if dependencies are transformed at the same time', async () => {
+        fs.stub('./src/main.js', () => 'import a from "./a"; import b from "./b";');
+        fs.stub('./src/a.js', () => 'export default "a";');
+        fs.stub('./src/b.js', () => 'export default "b";');
+
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: [{
+                async transform (code, id) {
+                    if (id.endsWith('a.js')) {
+                        await new Promise(resolve => setTimeout(resolve, 20));
+                    }
+
+                    if (id.endsWith('b.js')) {
+                        this.error('b failed');
+                    }
+                }
+            }]
+        });
+
+        let passed = false;
+
+        try {
+            await bundle.generate({ format: 'esm' });
+        } catch (e) {
+            passed = true;
+            expect(e.message).to.contain('b failed');
+        }
+
+        expect(passed).to.be.true;
+        fs.reset();
+    });
+});
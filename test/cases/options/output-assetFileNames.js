@@ -1,4 +1,5 @@
 let { nollup, fs, expect, rollup } = require('../../nollup');
+let crypto = require('crypto');
 
 describe ('Options: output.assetFileNames', () => {
     let bundle;
@@ -65,4 +66,41 @@ describe ('Options: output.assetFileNames', () => {
 
             fs.reset();
         });
-});
\ No newline at end of file
+
+    it ('should replace [hash] with the hash of the asset source', async () => {
+        let { output } = await bundle.generate({ 
+            format: 'esm'
+        });
+
+        let hash = crypto.createHash('sha256').update('*{color: blue}').digest('hex');
+        let file = output.find(o => o.fileName.indexOf('style') > -1);
+        expect(file.fileName).to.equal('assets/style-' + hash.substring(0, 8) + '.css');
+    });
+
+    it ('should support [hash] with a length', async () => {
+        let { output } = await bundle.generate({ 
+            format: 'esm',
+            assetFileNames: '[name].[hash:12][extname]'
+        });
+
+        let file = output.find(o => o.fileName.indexOf('style') > -1);
+        expect(file.fileName).to.match(/^style\.[a-f0-9]{12}\.css$/);
+    });
+
+    it ('should allow a function', async () => {
+        let assetInfo;
+
+        let { output } = await bundle.generate({ 
+            format: 'esm',
+            assetFileNames: info => {
+                assetInfo = info;
+                return 'styles/[name][extname]';
+            }
+        });
+
+        expect(output.find(o => o.fileName === 'styles/style.css')).not.to.be.undefined;
+        expect(assetInfo.type).to.equal('asset');
+        expect(assetInfo.name).to.equal('style.css');
+        expect(assetInfo.source).to.equal('*{color: blue}');
+    });
+});
@@ -59,4 +59,87 @@ describe ('Options: output.chunkFileNames', () => {
         expect(output.find(o => o.fileName === 'main.js').fileName).not.to.be.undefined;
         expect(output.find(o => o.fileName.match(/^lol-esm.js$/) !== null)).not.to.be.undefined;
     });
-});
\ No newline at end of file
+
+    it ('should replace [hash] with a content hash', async () => {
+        let { output } = await bundle.generate({
+            format: 'esm',
+            chunkFileNames: '[name]-[hash].js'
+        });
+
+        let file = output.find(o => o.fileName === 'main.js');
+        let chunk = output.find(o => o.fileName.startsWith('dynamic-'));
+        expect(chunk.fileName).to.match(/^dynamic-[a-f0-9]{8}\.js$/);
+        expect(file.code.indexOf(`require.dynamic(\\'${chunk.fileName}`) > -1).to.be.true;
+    });
+
+    it ('should support [hash] with a length', async () => {
+        let { output } = await bundle.generate({
+            format: 'esm',
+            chunkFileNames: '[name]-[hash:4].js'
+        });
+
+        expect(output.find(o => o.fileName.match(/^dynamic-[a-f0-9]{4}\.js$/) !== null)).not.to.be.undefined;
+    });
+
+    it ('should keep the same hash if the chunk has not changed', async () => {
+        let first = await bundle.generate({ format: 'esm' });
+        bundle.invalidate('./src/main.js');
+        let second = await bundle.generate({ format: 'esm' });
+
+        expect(second.output[1].fileName).to.equal(first.output[1].fileName);
+    });
+
+    it ('should change the hash if the chunk has changed', async () => {
+        let first = await bundle.generate({ format: 'esm' });
+        fs.stub('./src/dynamic.js', () => 'export default 789');
+        bundle.invalidate('./src/dynamic.js');
+        let second = await bundle.generate({ format: 'esm' });
+
+        expect(second.output[1].fileName).not.to.equal(first.output[1].fileName);
+        expect(second.output[0].code.indexOf(second.output[1].fileName) > -1).to.be.true;
+    });
+
+    it ('should send the importing module as a change if the chunk has been renamed', async () => {
+        await bundle.generate({ format: 'esm' });
+        fs.stub('./src/dynamic.js', () => 'export default 789');
+        bundle.invalidate('./src/dynamic.js');
+        let { changes, output } = await bundle.generate({ format: 'esm' });
+
+        expect(changes.length).to.equal(2);
+        expect(changes.find(c => c.code.indexOf(output[1].fileName) > -1)).not.to.be.undefined;
+    });
+
+    it ('should change the hash if a chunk it imports has changed', async () => {
+        fs.stub('./src/dynamic.js', () => 'import("./nested.js"); export default 456');
+        fs.stub('./src/nested.js', () => 'export default 1');
+
+        let first = await bundle.generate({ format: 'esm' });
+        fs.stub('./src/nested.js', () => 'export default 2');
+        bundle.invalidate('./src/nested.js');
+        let second = await bundle.generate({ format: 'esm' });
+
+        let getDynamic = output => output.find(o => o.fileName.startsWith('dynamic-')).fileName;
+        expect(getDynamic(second.output)).not.to.equal(getDynamic(first.output));
+    });
+
+    it ('should allow a function', async () => {
+        let chunkInfo;
+
+        let { output } = await bundle.generate({
+            format: 'esm',
+            chunkFileNames: info => {
+                chunkInfo = info;
+                return 'chunks/[name]-[hash:4].js';
+            }
+        });
+
+        expect(output[1].fileName).to.match(/^chunks\/dynamic-[a-f0-9]{4}\.js$/);
+        expect(chunkInfo.type).to.equal('chunk');
+        expect(chunkInfo.name).to.equal('dynamic');
+        expect(chunkInfo.facadeModuleId).to.equal(path.resolve(process.cwd(), './src/dynamic.js'));
+        expect(chunkInfo.isEntry).to.be.false;
+        expect(chunkInfo.isDynamicEntry).to.be.true;
+        expect(chunkInfo.exports).to.deep.equal(['default']);
+        expect(chunkInfo.modules[path.resolve(process.cwd(), './src/dynamic.js')]).not.to.be.undefined;
+    });
+});
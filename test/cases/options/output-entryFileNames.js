@@ -1,4 +1,5 @@
 let { nollup, fs, expect, rollup } = require('../../nollup');
+let path = require('path');
 
 describe ('Options: output.entryFileNames', () => {
     it ('should default to [name].js', async () => {
@@ -76,7 +77,34 @@ describe ('Options: output.entryFileNames', () => {
             format: 'esm'
         });
 
-        expect(output[0].fileName).to.equal('main.[hash].js');
+        expect(output[0].fileName).to.match(/^main\.[a-f0-9]{8}\.js$/);
         fs.reset();
     })
-});
\ No newline at end of file
+
+    it ('should allow a function', async () => {
+        fs.stub('./src/main.js', () => 'export default 123');
+        let chunkInfo;
+        
+        let bundle = await nollup({
+            input: './src/main.js'
+        });
+
+        let { output } = await bundle.generate({
+            entryFileNames: info => {
+                chunkInfo = info;
+                return 'entries/' + info.name + '-[format].js';
+            },
+            format: 'esm'
+        });
+
+        expect(output[0].fileName).to.equal('entries/main-esm.js');
+        expect(chunkInfo.type).to.equal('chunk');
+        expect(chunkInfo.name).to.equal('main');
+        expect(chunkInfo.facadeModuleId).to.equal(path.resolve(process.cwd(), './src/main.js'));
+        expect(chunkInfo.isEntry).to.be.true;
+        expect(chunkInfo.isDynamicEntry).to.be.false;
+        expect(chunkInfo.exports).to.deep.equal(['default']);
+        expect(Object.keys(chunkInfo.modules)).to.deep.equal([path.resolve(process.cwd(), './src/main.js')]);
+        fs.reset();
+    });
+});
@@ -1,5 +1,6 @@
 let { nollup, fs, expect, rollup } = require('../../nollup');
 let path = require('path');
+let vm = require('vm');
 
 function requireString (code) {
     let module = { exports : {} };
@@ -7,6 +8,37 @@ function requireString (code) {
     return module.exports;
 }
 
+function defineString (code) {
+    let defined = {};
+    let define = (id, deps, factory) => {
+        if (typeof id !== 'string') {
+            factory = deps;
+            deps = id;
+            id = undefined;
+        }
+
+        defined = { id, deps, exports: factory(...deps.map(() => ({}))) };
+    };
+
+    define.amd = {};
+    vm.runInNewContext(code, { define });
+    return defined;
+}
+
+function registerString (code) {
+    let namespace = {};
+    let registered;
+    let System = {
+        register (deps, declare) {
+            registered = declare(obj => Object.assign(namespace, obj), { import: () => Promise.resolve() });
+        }
+    };
+
+    vm.runInNewContext(code, { System });
+    registered.execute();
+    return namespace;
+}
+
 
 describe ('Options: output.format', () => {
     describe('Misc', () => {
@@ -22,10 +54,10 @@ describe ('Options: output.format', () => {
 
             try {
                 await bundle.generate({
-                    format: 'umd'
+                    format: 'xyz'
                 });
             } catch (e) {
-                expect(e.message.indexOf('Invalid format "umd". Only es, cjs, iife supported.') > -1).to.be.true;
+                expect(e.message.indexOf('Invalid format "xyz". Only es, cjs, iife, amd, umd, system supported.') > -1).to.be.true;
                 passed = true;
             }
 
@@ -670,4 +702,333 @@ describe ('Options: output.format', () => {
         });
 
     });
+
+    describe('iife with output.name', () => {
+        async function generate (code, outputOptions) {
+            fs.stub('./src/main.js', () => code);
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({ format: 'iife', ...outputOptions });
+            fs.reset();
+            return output[0].code;
+        }
+
+        it ('should assign exports to a global variable', async () => {
+            let code = await generate('export var hello = 123; export var world = 456;', { name: 'MyLibrary' });
+            let context = {};
+            vm.runInNewContext(code, context);
+            expect(context.MyLibrary.hello).to.equal(123);
+            expect(context.MyLibrary.world).to.equal(456);
+        });
+
+        it ('should assign default to a global variable if only export', async () => {
+            let code = await generate('export default 123;', { name: 'MyLibrary' });
+            let context = {};
+            vm.runInNewContext(code, context);
+            expect(context.MyLibrary).to.equal(123);
+        });
+
+        it ('should create namespaces for dotted names', async () => {
+            let code = await generate('export var hello = 123;', { name: 'Acme.Widgets.Library' });
+            let context = { Acme: { existing: true } };
+            vm.runInNewContext(code, context);
+            expect(context.Acme.existing).to.be.true;
+            expect(context.Acme.Widgets.Library.hello).to.equal(123);
+        });
+
+        it ('should add exports to an existing object with extend', async () => {
+            let code = await generate('export var hello = 123;', { name: 'Acme.Widgets', extend: true });
+            let context = { Acme: { Widgets: { existing: true } } };
+            vm.runInNewContext(code, context);
+            expect(context.Acme.Widgets.existing).to.be.true;
+            expect(context.Acme.Widgets.hello).to.equal(123);
+        });
+
+        it ('should create the object with extend if it does not exist', async () => {
+            let code = await generate('export var hello = 123;', { name: 'MyLibrary', extend: true });
+            let context = {};
+            vm.runInNewContext(code, context);
+            expect(context.MyLibrary.hello).to.equal(123);
+        });
+
+        it ('should not assign anything if there are no exports', async () => {
+            let code = await generate('console.log(123);', { name: 'MyLibrary' });
+            expect(code.indexOf('MyLibrary') === -1).to.be.true;
+        });
+    });
+
+    describe('amd', () => {
+        it ('should define externals as dependencies', async () => {
+            fs.stub('./src/main.js', () => 'import $ from "jquery";');
+        
+            let bundle = await nollup({
+                input: './src/main.js',
+                external: ['jquery']
+            });
+
+            let { output } = await bundle.generate({
+                format: 'amd'
+            });
+
+            expect(output[0].code.indexOf(`define(["require","jquery"], function (__nollup__require__, __nollup__external__jquery__)`) > -1).to.be.true;
+            expect(output[0].code.indexOf('var __nollup__external__jquery__default__ = ') > -1).to.be.true;
+            fs.reset();
+        });
+
+        it ('should use amd.id for the module id', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'amd',
+                amd: { id: 'my-module' }
+            });
+
+            expect(defineString(output[0].code).id).to.equal('my-module');
+            fs.reset();
+        });
+
+        it ('should return default if only export', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'amd'
+            });
+
+            expect(defineString(output[0].code).exports).to.equal(123);
+            fs.reset();
+        });
+
+        it ('should return default as key and named exports if together', async () => {
+            fs.stub('./src/main.js', () => 'export default 123; export var hello = 456;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'amd'
+            });
+
+            let { exports } = defineString(output[0].code);
+            expect(exports.default).to.equal(123);
+            expect(exports.hello).to.equal(456);
+            fs.reset();
+        });
+
+        it ('should load chunks with require', async () => {
+            fs.stub('./src/dep.js', () => 'export default 123;')
+            fs.stub('./src/main.js', () => 'import("./dep")');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'amd'
+            });
+
+            let main = output.find(o => o.fileName.indexOf('main') > -1);
+            let dep = output.find(o => o.fileName.indexOf('dep') > -1);
+            expect(main.code.indexOf(' import(') === -1).to.be.true;
+            expect(main.code.indexOf('__nollup__load__(relative_file)') > -1).to.be.true;
+            expect(dep.code.indexOf('define([') > -1).to.be.true;
+            fs.reset();
+        });
+    });
+
+    describe('umd', () => {
+        it ('should assign exports to output.name without a module loader', async () => {
+            fs.stub('./src/main.js', () => 'export var hello = 456;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                name: 'MyLibrary'
+            });
+
+            let context = {};
+            vm.runInNewContext(output[0].code, context);
+            expect(context.MyLibrary.hello).to.equal(456);
+            fs.reset();
+        });
+
+        it ('should create namespaces for dotted names without a module loader', async () => {
+            fs.stub('./src/main.js', () => 'export var hello = 456;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                name: 'Acme.Widgets'
+            });
+
+            let context = { Acme: { existing: true } };
+            vm.runInNewContext(output[0].code, context);
+            expect(context.Acme.existing).to.be.true;
+            expect(context.Acme.Widgets.hello).to.equal(456);
+            fs.reset();
+        });
+
+        it ('should add exports to an existing object with extend without a module loader', async () => {
+            fs.stub('./src/main.js', () => 'export var hello = 456;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                name: 'MyLibrary',
+                extend: true
+            });
+
+            let context = { MyLibrary: { existing: true } };
+            vm.runInNewContext(output[0].code, context);
+            expect(context.MyLibrary.existing).to.be.true;
+            expect(context.MyLibrary.hello).to.equal(456);
+            fs.reset();
+        });
+
+        it ('should use globals for externals without a module loader', async () => {
+            fs.stub('./src/main.js', () => 'import $ from "jquery"; export default $.value;');
+        
+            let bundle = await nollup({
+                input: './src/main.js',
+                external: ['jquery']
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                name: 'MyLibrary',
+                globals: { jquery: '$' }
+            });
+
+            let context = { $: { value: 123 } };
+            vm.runInNewContext(output[0].code, context);
+            expect(context.MyLibrary).to.equal(123);
+            fs.reset();
+        });
+
+        it ('should set module.exports for CommonJS', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                name: 'MyLibrary'
+            });
+
+            let module = { exports: {} };
+            vm.runInNewContext(output[0].code, { module, exports: module.exports });
+            expect(module.exports).to.equal(123);
+            fs.reset();
+        });
+
+        it ('should define the module for AMD', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'umd',
+                amd: { id: 'my-module' }
+            });
+
+            let defined = defineString(output[0].code);
+            expect(defined.id).to.equal('my-module');
+            expect(defined.exports).to.equal(123);
+            fs.reset();
+        });
+    });
+
+    describe('system', () => {
+        it ('should register externals as dependencies', async () => {
+            fs.stub('./src/main.js', () => 'import $ from "jquery";');
+        
+            let bundle = await nollup({
+                input: './src/main.js',
+                external: ['jquery']
+            });
+
+            let { output } = await bundle.generate({
+                format: 'system'
+            });
+
+            expect(output[0].code.indexOf('System.register(["jquery"]') > -1).to.be.true;
+            expect(output[0].code.indexOf('function (m) { __nollup__external__jquery__ = m; }') > -1).to.be.true;
+            fs.reset();
+        });
+
+        it ('should export default and named exports', async () => {
+            fs.stub('./src/main.js', () => 'export default 123; export var hello = 456;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'system'
+            });
+
+            let exports = registerString(output[0].code);
+            expect(exports.default).to.equal(123);
+            expect(exports.hello).to.equal(456);
+            fs.reset();
+        });
+
+        it ('should load chunks with the module context import', async () => {
+            fs.stub('./src/dep.js', () => 'export default 123;')
+            fs.stub('./src/main.js', () => 'import("./dep")');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'system'
+            });
+
+            let main = output.find(o => o.fileName.indexOf('main') > -1);
+            let dep = output.find(o => o.fileName.indexOf('dep') > -1);
+            expect(main.code.indexOf('__nollup__system__.import(file)') > -1).to.be.true;
+            expect(dep.code.indexOf('System.register([]') > -1).to.be.true;
+            fs.reset();
+        });
+
+        it ('should normalize the format alias systemjs to system', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+        
+            let bundle = await nollup({
+                input: './src/main.js'
+            });
+
+            let { output } = await bundle.generate({
+                format: 'systemjs'
+            });
+
+            expect(output[0].code.indexOf('System.register(') > -1).to.be.true;
+            fs.reset();
+        });
+    });
 });
\ No newline at end of file
@@ -0,0 +1,243 @@
+let { nollup, fs, expect, rollup } = require('../../nollup');
+let path = require('path');
+let vm = require('vm');
+let { SourceMapConsumer } = require('source-map');
+let MagicString = require('magic-string');
+
+function getOriginalPosition (chunk, search) {
+    let consumer = new SourceMapConsumer(JSON.parse(chunk.map.toString()));
+    let lines = chunk.code.split('\n');
+
+    for (let i = 0; i < lines.length; i++) {
+        let column = lines[i].indexOf(search);
+        if (column > -1) {
+            return consumer.originalPositionFor({ line: i + 1, column });
+        }
+    }
+}
+
+describe ('Options: output.sourcemap', () => {
+    beforeEach(() => {
+        fs.stub('./src/main.js', () => 'import { message } from \'./dep.js\';\nconsole.log(message);\nthrow new Error(\'main\');');
+        fs.stub('./src/dep.js', () => '// it\'s a "dependency"\nexport var message = \'hello\';\nconsole.log(\'dep\');');
+    });
+
+    afterEach(() => {
+        fs.reset();
+    });
+
+    it ('should not generate a source map by default', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist' });
+
+        expect(output.length).to.equal(1);
+        expect(output[0].map).to.be.null;
+        expect(output[0].code).not.to.contain('//# sourceMappingURL=main.js.map');
+    });
+
+    it ('should emit a map asset and reference it from the chunk if true', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true });
+
+        let asset = output.find(o => o.fileName === 'main.js.map');
+        expect(asset.type).to.equal('asset');
+        expect(output[0].code.endsWith('\n//# sourceMappingURL=main.js.map')).to.be.true;
+        expect(JSON.parse(asset.source)).to.deep.equal(JSON.parse(output[0].map.toString()));
+        expect(output[0].map.file).to.equal('main.js');
+        expect(output[0].map.sources).to.deep.equal(['../src/main.js', '../src/dep.js']);
+    });
+
+    it ('should map module code in the chunk to the original source', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true });
+
+        expect(getOriginalPosition(output[0], 'throw new Error(\'main')).to.deep.equal({
+            source: '../src/main.js', line: 3, column: 0, name: null
+        });
+
+        expect(getOriginalPosition(output[0], 'console.log(\'dep\')')).to.deep.equal({
+            source: '../src/dep.js', line: 3, column: 0, name: null
+        });
+    });
+
+    it ('should map each module to its own position after the banner and intro', async () => {
+        fs.stub('./src/main.js', () => 'import \'./a.js\';\nimport \'./b.js\';');
+        fs.stub('./src/a.js', () => 'console.log(\'$&\');\nthrow new Error(\'a\');');
+        fs.stub('./src/b.js', () => '\nconsole.log(\'$&\');\nthrow new Error(\'b\');');
+
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({
+            format: 'esm',
+            dir: 'dist',
+            sourcemap: true,
+            banner: '/* banner */\n',
+            intro: 'var intro = true;'
+        });
+
+        expect(output[0].code).to.contain('console.log(\'$&\')');
+        expect(getOriginalPosition(output[0], 'throw new Error(\'a')).to.deep.equal({
+            source: '../src/a.js', line: 2, column: 0, name: null
+        });
+
+        expect(getOriginalPosition(output[0], 'throw new Error(\'b')).to.deep.equal({
+            source: '../src/b.js', line: 3, column: 0, name: null
+        });
+    });
+
+    it ('should point stack frames of thrown errors to the chunk', async () => {
+        fs.stub('./src/main.js', () => 'import { fail } from \'./dep.js\';\nfail();');
+        fs.stub('./src/dep.js', () => 'export function fail () {\n    throw new Error(\'dep\');\n}');
+
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'cjs', dir: 'dist', sourcemap: true });
+        let fileName = path.resolve(process.cwd(), 'dist/main.js');
+
+        expect(output[0].code).not.to.contain('sourceURL=');
+
+        let error;
+        try {
+            let module = { exports: {} };
+            vm.compileFunction(output[0].code, ['exports', 'require', 'module'], { filename: fileName })(module.exports, require, module);
+        } catch (e) {
+            error = e;
+        }
+
+        let [, file, line, column] = error.stack.split('\n')[1].match(/\((.*):(\d+):(\d+)\)$/);
+        let consumer = new SourceMapConsumer(JSON.parse(output[0].map.toString()));
+        let original = consumer.originalPositionFor({ line: Number(line), column: Number(column) - 1 });
+
+        expect(file).to.equal(fileName);
+        expect(original.source).to.equal('../src/dep.js');
+        expect(original.line).to.equal(2);
+    });
+
+    it ('should regenerate modules when the sourcemap option changes', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist' });
+        expect(output[0].code).to.contain('sourceURL=nollup-int:///src/main.js');
+
+        output = (await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true })).output;
+        expect(output[0].code).not.to.contain('sourceURL=');
+        expect(getOriginalPosition(output[0], 'throw new Error(\'main').line).to.equal(3);
+
+        output = (await bundle.generate({ format: 'esm', dir: 'dist' })).output;
+        expect(output[0].code).to.contain('sourceURL=nollup-int:///src/main.js');
+    });
+
+    it ('should use transformed source maps of modules', async () => {
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: [{
+                transform (code, id) {
+                    let s = new MagicString(code);
+                    s.prepend('var a = 1;\nvar b = 2;\n');
+                    return { code: s.toString(), map: s.generateMap({ hires: true, source: id, includeContent: true }) };
+                }
+            }]
+        });
+
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true });
+
+        expect(getOriginalPosition(output[0], 'throw new Error(\'main').line).to.equal(3);
+        expect(getOriginalPosition(output[0], 'throw new Error(\'main').source).to.equal('../src/main.js');
+        expect(output[0].map.sourcesContent[0]).to.contain('throw new Error(\'main\');');
+        expect(output[0].map.sourcesContent[0]).not.to.contain('var a = 1;');
+    });
+
+    it ('should apply source maps returned from renderChunk', async () => {
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: [{
+                renderChunk (code) {
+                    let s = new MagicString(code);
+                    s.prepend('/* license */\n\n\n');
+                    return { code: s.toString(), map: s.generateMap({ hires: true }) };
+                }
+            }]
+        });
+
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true });
+
+        expect(output[0].code.startsWith('/* license */')).to.be.true;
+        expect(getOriginalPosition(output[0], 'license').source).to.be.null;
+        expect(getOriginalPosition(output[0], 'throw new Error(\'main')).to.deep.equal({
+            source: '../src/main.js', line: 3, column: 0, name: null
+        });
+    });
+
+    it ('should generate a map for each chunk', async () => {
+        fs.stub('./src/main.js', () => 'import(\'./dynamic.js\');');
+        fs.stub('./src/dynamic.js', () => 'throw new Error(\'dynamic\');');
+
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({
+            format: 'esm',
+            dir: 'dist',
+            chunkFileNames: 'chunks/[name].js',
+            sourcemap: true
+        });
+
+        let chunk = output.find(o => o.fileName === 'chunks/dynamic.js');
+        expect(output.find(o => o.fileName === 'chunks/dynamic.js.map')).not.to.be.undefined;
+        expect(chunk.code).to.contain('//# sourceMappingURL=dynamic.js.map');
+        expect(chunk.map.sources).to.deep.equal(['../../src/dynamic.js']);
+        expect(getOriginalPosition(chunk, 'throw new Error(\'dynamic').line).to.equal(1);
+    });
+
+    it ('should inline the map as a data url if inline', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: 'inline' });
+
+        expect(output.length).to.equal(1);
+        expect(output[0].code.endsWith('\n//# sourceMappingURL=' + output[0].map.toUrl())).to.be.true;
+        expect(output[0].map.toUrl().startsWith('data:application/json;charset=utf-8;base64,')).to.be.true;
+    });
+
+    it ('should emit the map without referencing it if hidden', async () => {
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: 'hidden' });
+
+        expect(output.find(o => o.fileName === 'main.js.map')).not.to.be.undefined;
+        expect(output[0].code).not.to.contain('//# sourceMappingURL=main.js.map');
+    });
+
+    it ('should exclude sources content if sourcemapExcludeSources is set', async () => {
+        let bundle = await nollup({
+            input: './src/main.js',
+            plugins: [{
+                transform (code, id) {
+                    let s = new MagicString(code);
+                    return { code: s.toString(), map: s.generateMap({ source: id, includeContent: true }) };
+                }
+            }]
+        });
+
+        let { output } = await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true });
+        expect(output[0].map.sourcesContent.length).to.equal(2);
+
+        output = (await bundle.generate({ format: 'esm', dir: 'dist', sourcemap: true, sourcemapExcludeSources: true })).output;
+        expect(output[0].map.sourcesContent).to.be.undefined;
+        expect(JSON.parse(output[1].source).sourcesContent).to.be.undefined;
+    });
+
+    it ('should transform source paths with sourcemapPathTransform', async () => {
+        let passed = [];
+        let bundle = await nollup({ input: './src/main.js' });
+        let { output } = await bundle.generate({
+            format: 'esm',
+            dir: 'dist',
+            sourcemap: true,
+            sourcemapPathTransform: (relativeSourcePath, sourcemapPath) => {
+                passed.push([relativeSourcePath, sourcemapPath]);
+                return 'webpack:///' + relativeSourcePath.replace('../', '');
+            }
+        });
+
+        expect(passed).to.deep.equal([
+            ['../src/main.js', path.resolve(process.cwd(), 'dist/main.js.map')],
+            ['../src/dep.js', path.resolve(process.cwd(), 'dist/main.js.map')]
+        ]);
+        expect(output[0].map.sources).to.deep.equal(['webpack:///src/main.js', 'webpack:///src/dep.js']);
+    });
+});
@@ -1,14 +1,62 @@
 let plugin = require('../../lib/plugin-hmr');
 let { expect, fs, nollup } = require('../nollup');
 
+function createElement (tag) {
+    return {
+        tagName: tag.toUpperCase(),
+        attributes: {},
+        children: [],
+        parentNode: null,
+        textContent: '',
+        setAttribute: function (name, value) {
+            this.attributes[name] = value;
+        },
+        appendChild: function (child) {
+            child.parentNode = this;
+            this.children.push(child);
+        },
+        removeChild: function (child) {
+            child.parentNode = null;
+            this.children.splice(this.children.indexOf(child), 1);
+        }
+    };
+}
+
 function createGlobals (env_options = {}) {
+    let listeners = {};
     let window = { 
         location: { 
             host: 'example.com',
-            protocol: env_options.protocol || 'http:'
-        } 
+            protocol: env_options.protocol || 'http:',
+            reloads: 0,
+            reload: function () {
+                this.reloads++;
+            }
+        },
+        addEventListener: function (event, callback) {
+            listeners[event] = listeners[event] || [];
+            listeners[event].push(callback);
+        },
+        dispatchEvent: function (event, e) {
+            (listeners[event] || []).forEach(callback => callback(e));
+        }
     }, stdout = [];
 
+    if (env_options.document) {
+        let findElements = (el, tag) => el.children.reduce((acc, child) => {
+            return acc.concat(child.tagName === tag.toUpperCase()? [child] : [], findElements(child, tag));
+        }, []);
+
+        window.document = {
+            head: createElement('head'),
+            body: createElement('body'),
+            createElement: createElement,
+            getElementsByTagName: function (tag) {
+                return findElements(this.head, tag).concat(findElements(this.body, tag));
+            }
+        };
+    }
+
     let console = {
         log: function (...args) {
             stdout.push(args.join(' '));
@@ -28,7 +76,12 @@ function createGlobals (env_options = {}) {
         return _ws;
     };
 
-    return { window, console, stdout, ws: _ws, WebSocket, __nollup__global__: window, globalThis: window };
+    let timers = [];
+    let setTimeout = function (callback, delay) {
+        timers.push({ callback, delay });
+    };
+
+    return { window, console, stdout, ws: _ws, WebSocket, timers, setTimeout, __nollup__global__: window, globalThis: window };
 }
 
 function sleep (delay) {
@@ -39,12 +92,14 @@ async function createNollupEnv () {
     let globals = createGlobals();
     let { window, console, WebSocket, __nollup__global__, globalThis } = globals;
     let generated;
+    let imports = [];
 
     let applyPolyfill = function (code) {
         return code.replace(/import\(/g, '_import(');
     }
 
     let _import = function (dep) {
+        imports.push(dep.substring(2));
         let found = generated.output.find(o => o.fileName === dep.substring(2));
         if (found) {
             eval(applyPolyfill(found.code))
@@ -67,6 +122,7 @@ async function createNollupEnv () {
         console, 
         ws: globals.ws, 
         stdout: globals.stdout, 
+        imports,
         bundle: {
             invalidate: (f) => bundle.invalidate(f),
             generate: async () => {
@@ -78,13 +134,57 @@ async function createNollupEnv () {
     };
 }
 
+async function createNodeEnv (options = {}, env_options = {}) {
+    let stdout = [];
+    let console = {
+        log: function (...args) {
+            stdout.push(args.join(' '));
+        }
+    };
+
+    let globalThis = {};
+    let listeners = [];
+    let sent = [];
+    let process = {
+        send: env_options.ipc? (message => sent.push(message)) : undefined,
+        on: function (event, callback) {
+            listeners.push(callback);
+        },
+        emit: function (message) {
+            listeners.forEach(callback => callback(message));
+        }
+    };
+
+    let bundle = await nollup({
+        input: './src/main.js',
+        plugins: [plugin({ runtime: 'node', ...options })]
+    });
+
+    let module = { exports: {} };
+    let generated = await bundle.generate({ format: 'cjs' });
+    eval(generated.output[0].code);
+
+    return {
+        globalThis,
+        process,
+        sent,
+        stdout,
+        exports: module.exports,
+        bundle: {
+            invalidate: (f) => bundle.invalidate(f),
+            generate: () => bundle.generate({ format: 'cjs' })
+        }
+    };
+}
+
 function createEnv (input, options = {}, env_options = {}) {
     input = JSON.parse(JSON.stringify(input));
     options.bundleId = options.bundleId || '';
 
     let modules = input.map(m => m.code);
+    let chunks = {};
     let globals = createGlobals(env_options);
-    let { window, console, WebSocket, __nollup__global__, globalThis } = globals;
+    let { window, console, WebSocket, setTimeout, __nollup__global__, globalThis } = globals;
 
     let plugin_instance = plugin(options);
     eval(plugin_instance.nollupBundleInit());
@@ -112,6 +212,7 @@ function createEnv (input, options = {}, env_options = {}) {
         window,
         modules,
         stdout: globals.stdout,
+        timers: globals.timers,
         executeModule: function (index) {
             instances[index] = executeModule(index, input[index].dependencies, modules[index])
         }
@@ -259,6 +360,39 @@ describe('plugin-hmr', () => {
             expect(env.stdout[4]).to.equal('mod2 accept');
         })
 
+        it ('should only dispose and accept once if multiple changes lead to the same module', () => {
+            let envTemplate = [{
+                dependencies: [1, 2],
+                code: `
+                    function () { 
+                        module.hot.accept(() => { console.log('mod0 accept') }); 
+                        module.hot.dispose(() => { console.log('mod0 dispose') });
+                    }
+                `
+            }, {
+                dependencies: [],
+                code: `function () {}`
+            }, {
+                dependencies: [],
+                code: `function () {}`
+            }];
+
+            let env = createEnv(envTemplate);
+            env.ws.send({
+                changes: [{
+                    id: 1,
+                    code: '(function () {})()'
+                }, {
+                    id: 2,
+                    code: '(function () {})()'
+                }]
+            });
+
+            expect(env.stdout.length).to.equal(2);
+            expect(env.stdout[0]).to.equal('mod0 dispose');
+            expect(env.stdout[1]).to.equal('mod0 accept');
+        })
+
         it ('should execute accept on root module if root module updates', () => {
             let env = createEnv([{
                 dependencies: [],
@@ -550,6 +684,490 @@ describe('plugin-hmr', () => {
         });
     });
 
+    describe('module.hot.accept(dependencies, callback)', () => {
+        it ('should accept updates of a dependency without disposing the accepting module', async () => {
+            fs.stub('./src/main.js', () => `
+                import Message from './message';
+
+                module.hot.dispose(() => console.log('main dispose'));
+                module.hot.accept(module.dependencies[0], deps => {
+                    console.log('accepted ' + deps.length);
+                });
+
+                window.print = function () {
+                    console.log(Message);
+                };
+            `);
+
+            fs.stub('./src/message.js', () => `export default 'hello';`);
+
+            let env = await createNollupEnv();
+            fs.reset();
+
+            fs.stub('./src/message.js', () => `export default 'world';`);
+            env.bundle.invalidate('./src/message.js');
+            let { changes } = await env.bundle.generate();
+
+            env.ws.send({ changes });
+            env.window.print();
+
+            expect(env.stdout).to.deep.equal(['accepted 1', 'world']);
+        });
+
+        it ('should accept updates bubbling through the dependency', async () => {
+            fs.stub('./src/main.js', () => `
+                import Message from './message';
+
+                module.hot.accept([module.dependencies[0]], () => {
+                    console.log('accepted');
+                });
+
+                window.print = function () {
+                    console.log(Message);
+                };
+            `);
+
+            fs.stub('./src/message.js', () => `import Text from './text'; export default Text + '!';`);
+            fs.stub('./src/text.js', () => `export default 'hello';`);
+
+            let env = await createNollupEnv();
+            fs.reset();
+
+            fs.stub('./src/text.js', () => `export default 'world';`);
+            env.bundle.invalidate('./src/text.js');
+            let { changes } = await env.bundle.generate();
+
+            env.ws.send({ changes });
+            env.window.print();
+
+            expect(env.stdout).to.deep.equal(['accepted', 'world!']);
+        });
+
+        it ('should not accept updates of other dependencies', () => {
+            let env = createEnv([{
+                dependencies: [1, 2],
+                code: `function () { module.hot.accept([1], () => console.log('accepted')) }`
+            }, {
+                dependencies: [],
+                code: 'function () {}'
+            }, {
+                dependencies: [],
+                code: `function () { module.hot.dispose(() => console.log('dispose')) }`
+            }], { reload: true });
+
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.stdout.length).to.equal(0);
+            expect(env.window.location.reloads).to.equal(1);
+        });
+    });
+
+    describe('module.hot.accept()', () => {
+        it ('should execute the module again if accepted without a callback', async () => {
+            fs.stub('./src/main.js', () => `
+                import './counter';
+            `);
+
+            fs.stub('./src/counter.js', () => `
+                import Message from './message';
+                module.hot.accept();
+                console.log('executed ' + Message);
+            `);
+
+            fs.stub('./src/message.js', () => `export default 'hello';`);
+
+            let env = await createNollupEnv();
+            fs.reset();
+
+            fs.stub('./src/message.js', () => `export default 'world';`);
+            env.bundle.invalidate('./src/message.js');
+            let { changes } = await env.bundle.generate();
+            env.ws.send({ changes });
+
+            expect(env.stdout).to.deep.equal(['executed hello', 'executed world']);
+        });
+    });
+
+    describe('module.hot.decline()', () => {
+        let template = (code) => [{
+            dependencies: [1],
+            code: `function () { module.hot.accept(() => console.log('accept')) }`
+        }, {
+            dependencies: [2],
+            code: `function () { ${code} }`
+        }, {
+            dependencies: [],
+            code: `function () { module.hot.dispose(() => console.log('dispose')) }`
+        }];
+
+        it ('should abort the update if the module declines itself', () => {
+            let env = createEnv(template(`module.hot.decline(); module.hot.addStatusHandler(s => console.log(s))`));
+            env.ws.send({ changes: [{ id: 1, code: '(function () {})()' }] });
+
+            expect(env.stdout).to.deep.equal(['abort']);
+        });
+
+        it ('should abort the update if it bubbles to a declined module', () => {
+            let env = createEnv(template(`module.hot.decline(); module.hot.addStatusHandler(s => console.log(s))`));
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.stdout).to.deep.equal(['abort']);
+        });
+
+        it ('should abort the update if the dependency is declined', () => {
+            let env = createEnv(template(`module.hot.decline([2]); module.hot.addStatusHandler(s => console.log(s))`));
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.stdout).to.deep.equal(['abort']);
+        });
+
+        it ('should not abort the update for other dependencies', () => {
+            let env = createEnv(template(`module.hot.decline([3]); module.hot.addStatusHandler(s => console.log(s))`));
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.stdout).to.deep.equal(['dispose', 'dispose', 'apply', 'accept', 'idle']);
+        });
+
+        it ('should reload the page when declined if reload is enabled', () => {
+            let env = createEnv(template(`module.hot.decline()`), { reload: true });
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.window.location.reloads).to.equal(1);
+        });
+    });
+
+    describe('module.hot.invalidate()', () => {
+        it ('should bubble the update to the parent accept handler', async () => {
+            fs.stub('./src/main.js', () => `
+                import Message from './message';
+                module.hot.accept(() => {
+                    console.log('main accept');
+                });
+            `);
+
+            fs.stub('./src/message.js', () => `
+                module.hot.accept(() => {
+                    console.log('message accept');
+                    module.hot.invalidate();
+                });
+                module.hot.dispose(() => console.log('message dispose'));
+                export default 'hello';
+            `);
+
+            let env = await createNollupEnv();
+            fs.reset();
+
+            fs.stub('./src/message.js', () => `export default 'world';`);
+            env.bundle.invalidate('./src/message.js');
+            let { changes } = await env.bundle.generate();
+            env.ws.send({ changes });
+
+            expect(env.stdout).to.deep.equal(['message dispose', 'message accept', 'main accept']);
+        });
+
+        it ('should bubble the update when called outside of an update', () => {
+            let env = createEnv([{
+                dependencies: [1],
+                code: `function () { module.hot.accept(() => console.log('accept')) }`
+            }, {
+                dependencies: [],
+                code: `function () { 
+                    module.hot.accept(() => console.log('self accept'));
+                    window.invalidate = () => module.hot.invalidate();
+                }`
+            }]);
+
+            env.window.invalidate();
+            expect(env.stdout).to.deep.equal(['accept']);
+        });
+    });
+
+    describe('module.hot.removeDisposeHandler()', () => {
+        it ('should remove the dispose handler', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    let first = () => console.log('first');
+                    module.hot.dispose(first);
+                    module.hot.dispose(() => console.log('second'));
+                    module.hot.removeDisposeHandler(first);
+                    module.hot.accept(() => {});
+                }`
+            }]);
+
+            env.ws.send({ changes: [{ id: 0, code: '(function () {})()' }] });
+            expect(env.stdout).to.deep.equal(['second']);
+        });
+    });
+
+    describe('Status: fail', () => {
+        it ('should set the fail status if an accept handler throws', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    module.hot.addStatusHandler(s => console.log(s));
+                    module.hot.accept(() => { throw new Error('accept error') });
+                }`
+            }]);
+
+            expect(() => {
+                env.ws.send({ changes: [{ id: 0, code: '(function () {})()' }] });
+            }).to.throw('accept error');
+
+            expect(env.stdout).to.deep.equal(['dispose', 'apply', 'fail']);
+        });
+
+        it ('should reload the page if an accept handler throws and reload is enabled', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    module.hot.accept(() => { throw new Error('accept error') });
+                }`
+            }], { reload: true });
+
+            env.ws.send({ changes: [{ id: 0, code: '(function () {})()' }] });
+            expect(env.window.location.reloads).to.equal(1);
+        });
+    });
+
+    describe('import.meta.hot', () => {
+        afterEach(() => {
+            fs.reset();
+        });
+
+        async function update (env, file, code) {
+            fs.stub(file, () => code);
+            env.bundle.invalidate(file);
+            let { changes } = await env.bundle.generate();
+            env.ws.send({ changes });
+        }
+
+        it ('should pass the updated module to the self accept callback', async () => {
+            fs.stub('./src/main.js', () => `
+                import './counter';
+            `);
+
+            fs.stub('./src/counter.js', () => `
+                export let count = 1;
+                import.meta.hot.accept(mod => console.log('accept ' + mod.count));
+            `);
+
+            let env = await createNollupEnv();
+            await update(env, './src/counter.js', `
+                export let count = 2;
+                import.meta.hot.accept(mod => console.log('accept ' + mod.count));
+            `);
+
+            expect(env.stdout).to.deep.equal(['accept 2']);
+        });
+
+        it ('should accept dependencies by their import source', async () => {
+            fs.stub('./src/main.js', () => `
+                import Message from './message';
+
+                import.meta.hot.accept('./message', mod => {
+                    console.log('accept ' + mod.default);
+                });
+
+                window.print = function () {
+                    console.log(Message);
+                };
+            `);
+
+            fs.stub('./src/message.js', () => `export default 'hello';`);
+
+            let env = await createNollupEnv();
+            await update(env, './src/message.js', `export default 'world';`);
+            env.window.print();
+
+            expect(env.stdout).to.deep.equal(['accept world', 'world']);
+        });
+
+        it ('should pass undefined for dependencies that were not updated', async () => {
+            fs.stub('./src/main.js', () => `
+                import './a';
+                import './b';
+
+                import.meta.hot.accept(['./a', './b'], mods => {
+                    console.log(mods.map(m => m && m.default).join(','));
+                });
+            `);
+
+            fs.stub('./src/a.js', () => `export default 'a';`);
+            fs.stub('./src/b.js', () => `export default 'b';`);
+
+            let env = await createNollupEnv();
+            await update(env, './src/b.js', `export default 'b2';`);
+
+            expect(env.stdout).to.deep.equal([',b2']);
+        });
+
+        it ('should throw if accepting a dependency that is not imported', async () => {
+            fs.stub('./src/main.js', () => `
+                try {
+                    import.meta.hot.accept('./missing', () => {});
+                } catch (e) {
+                    console.log(e.message);
+                }
+            `);
+
+            let env = await createNollupEnv();
+            expect(env.stdout).to.deep.equal(['[HMR] Cannot accept "./missing" as it isn\'t imported by the module.']);
+        });
+
+        it ('should keep the same data object between updates', async () => {
+            let code = `
+                import.meta.hot.data.count = (import.meta.hot.data.count || 0) + 1;
+                import.meta.hot.dispose(data => console.log('dispose ' + data.count));
+                import.meta.hot.accept();
+                console.log('count ' + import.meta.hot.data.count);
+            `;
+
+            fs.stub('./src/main.js', () => code);
+
+            let env = await createNollupEnv();
+            await update(env, './src/main.js', code + ';');
+
+            expect(env.stdout).to.deep.equal(['count 1', 'dispose 1', 'count 2']);
+        });
+
+        it ('should call prune handlers when the module is removed', async () => {
+            fs.stub('./src/main.js', () => `import './dep';`);
+            fs.stub('./src/dep.js', () => `
+                import.meta.hot.data.value = 'dep';
+                import.meta.hot.prune(data => console.log('prune ' + data.value));
+            `);
+
+            let env = await createNollupEnv();
+            await update(env, './src/main.js', '');
+
+            expect(env.stdout).to.deep.equal(['prune dep']);
+        });
+
+        it ('should invalidate the module', async () => {
+            fs.stub('./src/main.js', () => `
+                import './dep';
+                import.meta.hot.accept(() => console.log('main accept'));
+            `);
+
+            fs.stub('./src/dep.js', () => `
+                import.meta.hot.accept(() => {
+                    import.meta.hot.invalidate('Cannot update');
+                });
+            `);
+
+            let env = await createNollupEnv();
+            await update(env, './src/dep.js', 'import.meta.hot.accept();');
+
+            expect(env.stdout).to.deep.equal(['main accept']);
+        });
+
+        it ('should call event handlers for events received over the socket', async () => {
+            fs.stub('./src/main.js', () => `
+                let handler = data => console.log('second ' + data.value);
+                import.meta.hot.on('my-event', data => console.log('first ' + data.value));
+                import.meta.hot.on('my-event', handler);
+                window.off = () => import.meta.hot.off('my-event', handler);
+            `);
+
+            let env = await createNollupEnv();
+            env.ws.send({ event: 'my-event', data: { value: 1 } });
+            env.window.off();
+            env.ws.send({ event: 'my-event', data: { value: 2 } });
+
+            expect(env.stdout).to.deep.equal(['first 1', 'second 1', 'first 2']);
+        });
+
+        it ('should remove event handlers when the module is disposed', async () => {
+            fs.stub('./src/main.js', () => `
+                import.meta.hot.on('my-event', data => console.log('event ' + data));
+                import.meta.hot.accept();
+            `);
+
+            let env = await createNollupEnv();
+            await update(env, './src/main.js', `import.meta.hot.accept();`);
+            env.ws.send({ event: 'my-event', data: 1 });
+
+            expect(env.stdout).to.deep.equal([]);
+        });
+
+        it ('should send events once the socket is open', async () => {
+            fs.stub('./src/main.js', () => `
+                window.send = () => import.meta.hot.send('my-event', { value: 1 });
+            `);
+
+            let env = await createNollupEnv();
+            let sent = [];
+            env.window.send();
+
+            env.ws.send({ greeting: true });
+            expect(env.stdout).to.deep.equal([]);
+
+            env.ws.readyState = 1;
+            let send = env.ws.send;
+            env.ws.send = data => sent.push(data);
+            send.call(env.ws, { greeting: true });
+            env.window.send();
+
+            expect(sent).to.deep.equal([
+                '{"event":"my-event","data":{"value":1}}',
+                '{"event":"my-event","data":{"value":1}}'
+            ]);
+        });
+    });
+
+    describe('module.hot.on() / off() / send()', () => {
+        it ('should call event handlers for events received over the socket', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    let handler = data => console.log('second ' + data);
+                    module.hot.on('my-event', data => console.log('first ' + data));
+                    module.hot.on('my-event', handler);
+                    window.off = () => module.hot.off('my-event', handler);
+                }`
+            }]);
+
+            env.ws.send({ event: 'my-event', data: 1 });
+            env.window.off();
+            env.ws.send({ event: 'my-event', data: 2 });
+            env.ws.send({ event: 'other-event', data: 3 });
+
+            expect(env.stdout).to.deep.equal(['first 1', 'second 1', 'first 2']);
+        });
+
+        it ('should remove event handlers when the module is disposed', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    module.hot.on('my-event', data => console.log('event ' + data));
+                    module.hot.accept(() => {});
+                }`
+            }]);
+
+            env.ws.send({ changes: [{ id: 0, code: '(function () {})()' }] });
+            env.ws.send({ event: 'my-event', data: 1 });
+
+            expect(env.stdout).to.deep.equal([]);
+        });
+
+        it ('should send events to the server', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { 
+                    window.send = () => module.hot.send('my-event', { value: 1 });
+                }`
+            }]);
+
+            let sent = [];
+            env.ws.readyState = 1;
+            env.ws.send = data => sent.push(data);
+            env.window.send();
+
+            expect(sent).to.deep.equal(['{"event":"my-event","data":{"value":1}}']);
+        });
+    });
+
     describe('module.hot.data', () => {
         it ('should be undefined on first load', () => {
             let envTemplate = [{
@@ -924,6 +1542,323 @@ describe('plugin-hmr', () => {
         });
     });
 
+    describe('Option: reload', () => {
+        let envTemplate = [{
+            dependencies: [1, 2],
+            code: `function () {}`
+        }, {
+            dependencies: [],
+            code: `function () { module.hot.accept(() => { console.log('accept') }) }`
+        }, {
+            dependencies: [],
+            code: `function () { module.hot.dispose(() => { console.log('dispose') }) }`
+        }];
+
+        it ('should reload the page if an update is not accepted', () => {
+            let env = createEnv(envTemplate, { reload: true });
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.window.location.reloads).to.equal(1);
+            expect(env.stdout.length).to.equal(0);
+        });
+
+        it ('should reload the page if any of the updates are not accepted', () => {
+            let env = createEnv(envTemplate, { reload: true });
+            env.ws.send({ changes: [
+                { id: 1, code: '(function () {})()' },
+                { id: 2, code: '(function () {})()' }
+            ]});
+
+            expect(env.window.location.reloads).to.equal(1);
+            expect(env.stdout.length).to.equal(0);
+        });
+
+        it ('should not reload the page if the update is accepted', () => {
+            let env = createEnv(envTemplate, { reload: true });
+            env.ws.send({ changes: [{ id: 1, code: '(function () {})()' }] });
+
+            expect(env.window.location.reloads).to.equal(0);
+            expect(env.stdout).to.deep.equal(['accept']);
+        });
+
+        it ('should not reload the page for removed modules', () => {
+            let env = createEnv(envTemplate, { reload: true });
+            env.ws.send({ changes: [{ id: 2, removed: true }] });
+
+            expect(env.window.location.reloads).to.equal(0);
+        });
+
+        it ('should not reload the page if the option is not enabled', () => {
+            let env = createEnv(envTemplate);
+            env.ws.send({ changes: [{ id: 2, code: '(function () {})()' }] });
+
+            expect(env.window.location.reloads).to.equal(0);
+        });
+    });
+
+    describe('Option: liveReload', () => {
+        it ('should reload the page for any changes without applying them', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { module.hot.accept(() => { console.log('accept') }) }`
+            }], { liveReload: true });
+
+            env.ws.send({ changes: [{ id: 0, code: '(function () {})()' }] });
+
+            expect(env.window.location.reloads).to.equal(1);
+            expect(env.stdout.length).to.equal(0);
+        });
+
+        it ('should not reload the page if there are no changes', () => {
+            let env = createEnv([{
+                dependencies: [],
+                code: `function () { module.hot.accept(() => { console.log('accept') }) }`
+            }], { liveReload: true });
+
+            env.ws.send({ changes: [] });
+
+            expect(env.window.location.reloads).to.equal(0);
+            expect(env.stdout.length).to.equal(0);
+        });
+    });
+
+    describe('Option: runtime', () => {
+        afterEach(() => {
+            fs.reset();
+        });
+
+        it ('should apply changes passed to receive in a Node cjs bundle', async () => {
+            fs.stub('./src/main.js', () => `
+                import dep from './dep';
+                console.log('main ' + dep);
+                module.hot.accept(() => require(module.id));
+                export default dep;
+            `);
+            fs.stub('./src/dep.js', () => 'export default 123;');
+
+            let env = await createNodeEnv();
+            expect(env.exports).to.equal(123);
+
+            fs.stub('./src/dep.js', () => 'export default 456;');
+            env.bundle.invalidate('./src/dep.js');
+            let { changes } = await env.bundle.generate();
+            env.globalThis.__hot.receive({ changes });
+
+            expect(env.stdout).to.deep.equal(['main 123', 'main 456']);
+            expect(env.globalThis.__hot.status).to.equal('idle');
+        });
+
+        it ('should apply changes received over IPC and send custom events to the parent', async () => {
+            fs.stub('./src/main.js', () => `
+                import dep from './dep';
+                console.log('main ' + dep);
+                module.hot.accept(() => require(module.id));
+                module.hot.send('ssr:ready', { value: dep });
+            `);
+            fs.stub('./src/dep.js', () => 'export default 123;');
+
+            let env = await createNodeEnv({}, { ipc: true });
+
+            fs.stub('./src/dep.js', () => 'export default 456;');
+            env.bundle.invalidate('./src/dep.js');
+            let { changes } = await env.bundle.generate();
+            env.process.emit({ type: 'other' });
+            env.process.emit({ type: 'nollup:hmr', bundleId: 'other', data: { changes } });
+            expect(env.stdout).to.deep.equal(['main 123']);
+
+            env.process.emit({ type: 'nollup:hmr', data: { changes } });
+            expect(env.stdout).to.deep.equal(['main 123', 'main 456']);
+            expect(env.sent).to.deep.equal([
+                { type: 'nollup:hmr', bundleId: '', data: { event: 'ssr:ready', data: { value: 123 } } },
+                { type: 'nollup:hmr', bundleId: '', data: { event: 'ssr:ready', data: { value: 456 } } }
+            ]);
+        });
+
+        it ('should pass custom events to onmessage in the same process', async () => {
+            fs.stub('./src/main.js', () => `
+                module.hot.on('ssr:ping', data => module.hot.send('ssr:pong', data));
+            `);
+
+            let env = await createNodeEnv();
+            let received = [];
+            env.globalThis.__hot.onmessage = message => received.push(message);
+            env.globalThis.__hot.receive({ event: 'ssr:ping', data: 1 });
+
+            expect(received).to.deep.equal([{ event: 'ssr:pong', data: 1 }]);
+        });
+
+        it ('should ask for a restart instead of reloading', async () => {
+            fs.stub('./src/main.js', () => 'export default 123;');
+
+            let env = await createNodeEnv({ reload: true });
+
+            fs.stub('./src/main.js', () => 'export default 456;');
+            env.bundle.invalidate('./src/main.js');
+            let { changes } = await env.bundle.generate();
+            env.globalThis.__hot.receive({ changes });
+
+            expect(env.stdout).to.deep.equal(['[HMR] The update couldn\'t be applied, restart the process to load it.']);
+        });
+    });
+
+    describe('Message: error', () => {
+        let envTemplate = [{
+            dependencies: [],
+            code: `function () {}`
+        }];
+
+        let error = {
+            message: 'Unexpected token (1:4)',
+            plugin: 'babel',
+            file: '/src/main.js',
+            line: 1,
+            column: 4,
+            frame: '1: let =\n       ^'
+        };
+
+        function getOverlay (env) {
+            return env.window.document.body.children[0];
+        }
+
+        it ('should render an overlay with the build error', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            env.ws.send({ error });
+
+            let overlay = getOverlay(env);
+            let text = overlay.children.map(c => c.textContent);
+            expect(overlay.className).to.equal('nollup-error-overlay');
+            expect(text).to.deep.equal([
+                '\u00d7', 
+                '[plugin babel] /src/main.js:1:4', 
+                'Unexpected token (1:4)', 
+                '1: let =\n       ^'
+            ]);
+        });
+
+        it ('should replace the overlay if another error is received', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            env.ws.send({ error });
+            env.ws.send({ error: { message: 'Second' } });
+
+            expect(env.window.document.body.children.length).to.equal(1);
+            expect(getOverlay(env).children[1].textContent).to.equal('Second');
+        });
+
+        it ('should remove the overlay when the close button is clicked', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            env.ws.send({ error });
+            getOverlay(env).children[0].onclick();
+
+            expect(env.window.document.body.children.length).to.equal(0);
+        });
+
+        it ('should remove the overlay on the next successful build', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            env.ws.send({ error });
+            env.ws.send({ status: 'prepare' });
+            expect(env.window.document.body.children.length).to.equal(1);
+
+            env.ws.send({ status: 'ready' });
+            expect(env.window.document.body.children.length).to.equal(0);
+        });
+
+        it ('should not render an overlay if disabled', () => {
+            let env = createEnv(envTemplate, { overlay: false }, { document: true });
+            env.ws.send({ error });
+
+            expect(env.window.document.body.children.length).to.equal(0);
+        });
+
+        it ('should not fail if there is no document', () => {
+            let env = createEnv(envTemplate, { verbose: true });
+            env.ws.send({ error });
+
+            expect(env.stdout[0]).to.equal('[HMR] Build Error Unexpected token (1:4)');
+        });
+
+        it ('should not render runtime errors by default', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            env.window.dispatchEvent('error', { message: 'Runtime' });
+
+            expect(env.window.document.body.children.length).to.equal(0);
+        });
+
+        it ('should render uncaught runtime errors if enabled', () => {
+            let env = createEnv(envTemplate, { overlay: { runtimeErrors: true } }, { document: true });
+            env.window.dispatchEvent('error', { 
+                message: 'Uncaught Error: Runtime', 
+                filename: 'http://example.com/main.js', 
+                lineno: 10, 
+                colno: 5, 
+                error: { stack: 'Error: Runtime\n    at main.js:10:5' } 
+            });
+
+            let text = getOverlay(env).children.map(c => c.textContent);
+            expect(text).to.deep.equal([
+                '\u00d7',
+                'http://example.com/main.js:10:5',
+                'Uncaught Error: Runtime',
+                'Error: Runtime\n    at main.js:10:5'
+            ]);
+        });
+
+        it ('should render unhandled rejections if runtime errors are enabled', () => {
+            let env = createEnv(envTemplate, { overlay: { runtimeErrors: true } }, { document: true });
+            env.window.dispatchEvent('unhandledrejection', { reason: 'Failed' });
+
+            expect(getOverlay(env).children[1].textContent).to.equal('Failed');
+        });
+    });
+
+    describe('Message: assets', () => {
+        let envTemplate = [{
+            dependencies: [],
+            code: `function () {}`
+        }];
+
+        function createLink (env, href) {
+            let link = env.window.document.createElement('link');
+            link.href = href;
+            env.window.document.head.appendChild(link);
+            return link;
+        }
+
+        it ('should update the href of links to changed assets', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            let style = createLink(env, 'http://example.com/assets/style.css');
+            let other = createLink(env, 'http://example.com/assets/other.css');
+
+            env.ws.send({
+                assets: [{ name: 'style.css', previous: '/assets/style.css', url: '/assets/style.css' }]
+            });
+
+            expect(style.href).to.match(/^\/assets\/style\.css\?t=\d+$/);
+            expect(other.href).to.equal('http://example.com/assets/other.css');
+            expect(env.window.location.reloads).to.equal(0);
+        });
+
+        it ('should update links to renamed assets', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            let style = createLink(env, '/assets/style-abc.css?t=123');
+
+            env.ws.send({
+                assets: [{ name: 'style.css', previous: '/assets/style-abc.css', url: '/assets/style-def.css' }]
+            });
+
+            expect(style.href).to.match(/^\/assets\/style-def\.css\?t=\d+$/);
+        });
+
+        it ('should ignore assets without a document', () => {
+            let env = createEnv(envTemplate);
+
+            env.ws.send({
+                assets: [{ name: 'style.css', previous: '/style.css', url: '/style.css' }]
+            });
+
+            expect(env.stdout.length).to.equal(0);
+        });
+    });
+
     describe('Message: greeting', () => {
         it ('should not output anything if verbose not enabled', () => {
              let envTemplate = [{
@@ -954,6 +1889,70 @@ describe('plugin-hmr', () => {
         });
     });
 
+    describe('Reconnect', () => {
+        let envTemplate = [{
+            dependencies: [],
+            code: `function () {}`
+        }];
+
+        it ('should show the disconnected status and reconnect with backoff', () => {
+            let env = createEnv(envTemplate, {}, { document: true });
+            let body = env.window.document.body;
+
+            env.ws.onclose();
+            expect(env.window.__hot.status).to.equal('disconnected');
+            expect(env.stdout[0]).to.equal('[HMR] Disconnected from the server, reconnecting...');
+            expect(body.children[0].className).to.equal('nollup-disconnected');
+            expect(env.timers.map(t => t.delay)).to.deep.equal([1000]);
+
+            env.ws.url = null;
+            env.timers[0].callback();
+            expect(env.ws.url).to.equal('ws://example.com/__hmr');
+
+            env.ws.onclose();
+            env.timers[1].callback();
+            env.ws.onclose();
+            expect(env.timers.map(t => t.delay)).to.deep.equal([1000, 2000, 4000]);
+            expect(env.stdout.length).to.equal(1);
+            expect(body.children.length).to.equal(1);
+
+            env.timers[2].callback();
+            env.ws.send({ greeting: true });
+            expect(env.window.__hot.status).to.equal('idle');
+            expect(body.children.length).to.equal(0);
+
+            env.ws.onclose();
+            expect(env.timers[3].delay).to.equal(1000);
+        });
+
+        it ('should not wait more than 30 seconds between attempts', () => {
+            let env = createEnv(envTemplate);
+
+            for (let i = 0; i < 8; i++) {
+                env.ws.onclose();
+            }
+
+            expect(env.timers.map(t => t.delay)).to.deep.equal([1000, 2000, 4000, 8000, 16000, 30000, 30000, 30000]);
+        });
+
+        it ('should pass the latest build id to the server when reconnecting', () => {
+            let env = createEnv(envTemplate, { buildId: 'abc.1' });
+            expect(env.ws.url).to.equal('ws://example.com/__hmr?buildId=abc.1');
+
+            env.ws.send({ changes: [], buildId: 'abc.2' });
+            env.ws.onclose();
+            env.timers[0].callback();
+            expect(env.ws.url).to.equal('ws://example.com/__hmr?buildId=abc.2');
+        });
+
+        it ('should reload the page if the server can\'t send the missed changes', () => {
+            let env = createEnv(envTemplate, { buildId: 'abc.1' });
+            env.ws.send({ greeting: true });
+            env.ws.send({ reload: true });
+            expect(env.window.location.reloads).to.equal(1);
+        });
+    });
+
     describe ('Bindings', () => {
         it ('should update direct bindings for modules who import an updated module', async () => {
             fs.stub('./src/main.js', () => `
@@ -1453,6 +2452,69 @@ describe('plugin-hmr', () => {
             fs.reset();
         });
 
+        it ('should skip changes for dynamic chunks which have not been loaded', async () => {
+            fs.stub('./src/main.js', () => `
+                window.load = () => import('./dep').then(res => console.log(res.default));
+                module.hot.accept(() => require(module.id));
+            `);
+            fs.stub('./src/dep.js', () => `export default 'dep:0';`);
+
+            let env = await createNollupEnv();
+
+            fs.stub('./src/dep.js', () => `export default 'dep:1';`);
+            env.bundle.invalidate('./src/dep.js');
+            let { changes } = await env.bundle.generate();
+            let dynamicChanges = changes.filter(c => c.chunks);
+            expect(dynamicChanges.length).to.equal(1);
+            expect(dynamicChanges[0].chunks.length).to.equal(1);
+            expect(dynamicChanges[0].chunks[0].fileName).to.match(/^dep-.*\.js$/);
+
+            env.ws.send({ changes });
+            env.window.load();
+            await sleep(100);
+
+            expect(env.stdout).to.deep.equal(['dep:1']);
+            expect(env.imports).to.deep.equal([dynamicChanges[0].chunks[0].fileName]);
+            fs.reset();
+        });
+
+        it ('should update loaded dynamic chunks without importing them again', async () => {
+            fs.stub('./src/main.js', () => `
+                window.load = () => import('./dep').then(res => console.log(res.default));
+                module.hot.accept(() => require(module.id));
+            `);
+            fs.stub('./src/dep.js', () => `export default 'dep:0';`);
+
+            let env = await createNollupEnv();
+            env.window.load();
+            await sleep(100);
+
+            fs.stub('./src/dep.js', () => `export default 'dep:1';`);
+            env.bundle.invalidate('./src/dep.js');
+            let { changes } = await env.bundle.generate();
+            env.ws.send({ changes });
+            env.window.load();
+            await sleep(100);
+
+            expect(env.stdout).to.deep.equal(['dep:0', 'dep:1']);
+            expect(env.imports.length).to.equal(1);
+            fs.reset();
+        });
+
+        it ('should not include chunks for modules which are also in the entry chunk', async () => {
+            fs.stub('./src/main.js', () => `import './shared'; import('./dep');`);
+            fs.stub('./src/dep.js', () => `import './shared';`);
+            fs.stub('./src/shared.js', () => `export default 123;`);
+
+            let env = await createNollupEnv();
+
+            env.bundle.invalidate('./src/shared.js');
+            let { changes } = await env.bundle.generate();
+            expect(changes.length).to.equal(1);
+            expect(changes[0].chunks).to.be.undefined;
+            fs.reset();
+        });
+
         it ('should allow new import meta to work via HMR after first bundle');
 
         it ('should allow new external imports to work via HMR after first bundle');
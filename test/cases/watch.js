@@ -0,0 +1,247 @@
+let proxyquire = require('proxyquire');
+let { expect, fs } = require('../nollup');
+let path = require('path');
+let EventEmitter = require('events');
+
+let chokidar = {
+    '@global': true,
+    _callbacks: [],
+    watch: function (basedir, options) {
+        this.basedir = basedir;
+        return {
+            on: (event, callback) => {
+                this._callbacks.push({ event, callback });
+            },
+
+            close: () => {
+                this.closed = true;
+            }
+        }
+    },
+
+    trigger: function (event, file) {
+        this._callbacks.forEach(handle => {
+            if (handle.event === event) {
+                handle.callback(path.resolve(file));
+            }
+        });
+    },
+
+    clear: function () {
+        this._callbacks = [];
+        this.basedir = undefined;
+        this.closed = false;
+    }
+};
+
+let watch = proxyquire('../../lib/watch', { fs, chokidar });
+
+function waitForEvent (watcher, code) {
+    return new Promise(resolve => {
+        let listener = e => {
+            if (e.code === code) {
+                watcher.off('event', listener);
+                resolve(e);
+            }
+        };
+
+        watcher.on('event', listener);
+    });
+}
+
+describe('Watch', () => {
+    let watcher;
+
+    beforeEach(() => {
+        fs.stub('./src/main.js', () => 'export default 123');
+    });
+
+    afterEach(() => {
+        watcher.close();
+        fs.reset();
+        chokidar.clear();
+    });
+
+    it ('should write the bundle and emit Rollup watcher events', async () => {
+        let events = [];
+
+        watcher = watch({
+            input: './src/main.js',
+            output: { dir: 'dist', format: 'esm' }
+        });
+
+        watcher.on('event', e => events.push(e));
+        await waitForEvent(watcher, 'END');
+
+        expect(events.map(e => e.code)).to.deep.equal(['START', 'BUNDLE_START', 'BUNDLE_END', 'END']);
+        expect(events[1].input).to.equal('./src/main.js');
+        expect(events[1].output).to.deep.equal(['dist']);
+        expect(typeof events[2].duration).to.equal('number');
+        expect(fs.readFileSync(path.resolve('dist/main.js'))).to.contain('123');
+    });
+
+    it ('should rewrite the bundle when a file changes', async () => {
+        watcher = watch({
+            input: './src/main.js',
+            output: { file: 'dist/bundle.js', format: 'esm' }
+        });
+
+        await waitForEvent(watcher, 'END');
+
+        fs.stub('./src/main.js', () => 'export default 456');
+        chokidar.trigger('change', './src/main.js');
+        await waitForEvent(watcher, 'END');
+
+        expect(fs.readFileSync(path.resolve('dist/bundle.js'))).to.contain('456');
+    });
+
+    it ('should build each output of each config', async () => {
+        fs.stub('./src/other.js', () => 'export default 456');
+
+        let events = [];
+
+        watcher = watch([{
+            input: './src/main.js',
+            output: [{ file: 'dist/a.js', format: 'esm' }, { file: 'dist/b.js', format: 'cjs' }]
+        }, {
+            input: './src/other.js',
+            output: { file: 'dist/c.js', format: 'esm' }
+        }]);
+
+        watcher.on('event', e => events.push(e));
+        await waitForEvent(watcher, 'END');
+
+        expect(events.filter(e => e.code === 'BUNDLE_END').map(e => e.output[0])).to.deep.equal(['dist/a.js', 'dist/b.js', 'dist/c.js']);
+        expect(fs.readFileSync(path.resolve('dist/c.js'))).to.contain('456');
+    });
+
+    it ('should not rebuild when an output file changes', async () => {
+        let starts = 0;
+
+        watcher = watch({
+            input: './src/main.js',
+            output: { dir: 'dist', format: 'esm' }
+        });
+
+        watcher.on('event', e => e.code === 'START' && starts++);
+        await waitForEvent(watcher, 'END');
+
+        chokidar.trigger('change', './dist/main.js');
+        await new Promise(resolve => setTimeout(resolve, 200));
+
+        expect(starts).to.equal(1);
+    });
+
+    it ('should emit an error event and recover on the next change', async () => {
+        fs.stub('./src/main.js', () => 'export default 123;;;(');
+
+        watcher = watch({
+            input: './src/main.js',
+            output: { dir: 'dist', format: 'esm' }
+        });
+
+        let error = await waitForEvent(watcher, 'ERROR');
+        expect(error.error.message).to.contain('Unexpected token');
+
+        fs.stub('./src/main.js', () => 'export default 456');
+        chokidar.trigger('change', './src/main.js');
+        await waitForEvent(watcher, 'BUNDLE_END');
+
+        expect(fs.readFileSync(path.resolve('dist/main.js'))).to.contain('456');
+    });
+
+    it ('should close the file watcher', async () => {
+        watcher = watch({
+            input: './src/main.js',
+            output: { dir: 'dist', format: 'esm' }
+        });
+
+        await waitForEvent(watcher, 'END');
+        watcher.close();
+
+        expect(chokidar.closed).to.be.true;
+    });
+
+    describe('Option: hot', () => {
+        let events;
+
+        function createConfig () {
+            events = [];
+
+            return {
+                input: './src/main.js',
+                output: { file: 'dist/server.js', format: 'cjs' },
+                plugins: [{
+                    nollupHotEvent (event, data) {
+                        events.push([event, data]);
+                    }
+                }]
+            };
+        }
+
+        beforeEach(() => {
+            fs.stub('./src/main.js', () => `
+                import dep from './dep';
+                globalThis.__watch_values.push(dep);
+                module.hot.accept(() => require(module.id));
+                module.hot.send('ready', dep);
+            `);
+            fs.stub('./src/dep.js', () => 'export default 123');
+            globalThis.__watch_values = [];
+        });
+
+        afterEach(() => {
+            delete globalThis.__watch_values;
+            delete globalThis.__hot;
+        });
+
+        it ('should apply the changes to the bundle running in the same process', async () => {
+            watcher = watch(createConfig(), { hot: true });
+            await waitForEvent(watcher, 'END');
+
+            let code = fs.readFileSync(path.resolve('dist/server.js'));
+            let module = { exports: {} };
+            new Function('module', 'exports', 'require', code)(module, module.exports, require);
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(globalThis.__watch_values).to.deep.equal([123]);
+            expect(events).to.deep.equal([['ready', 123]]);
+
+            fs.stub('./src/dep.js', () => 'export default 456');
+            chokidar.trigger('change', './src/dep.js');
+            await waitForEvent(watcher, 'END');
+            await new Promise(resolve => setTimeout(resolve, 10));
+
+            expect(globalThis.__watch_values).to.deep.equal([123, 456]);
+            expect(events).to.deep.equal([['ready', 123], ['ready', 456]]);
+            expect(globalThis.__hot.status).to.equal('idle');
+        });
+
+        it ('should send the changes to a child process and receive its events', async () => {
+            let child = new EventEmitter();
+            let sent = [];
+            child.send = message => sent.push(message);
+
+            watcher = watch(createConfig(), { hot: child });
+            await waitForEvent(watcher, 'END');
+            expect(sent).to.deep.equal([]);
+
+            fs.stub('./src/dep.js', () => 'export default 456');
+            chokidar.trigger('change', './src/dep.js');
+            await waitForEvent(watcher, 'END');
+
+            expect(sent.length).to.equal(1);
+            expect(sent[0].type).to.equal('nollup:hmr');
+            expect(sent[0].bundleId).to.equal('');
+            expect(sent[0].data.changes.some(change => change.code.indexOf('456') > -1)).to.be.true;
+
+            child.emit('message', { type: 'other' });
+            child.emit('message', { type: 'nollup:hmr', bundleId: '', data: { event: 'ready', data: 456 } });
+            await new Promise(resolve => setTimeout(resolve, 10));
+            expect(events).to.deep.equal([['ready', 456]]);
+
+            watcher.close();
+            expect(child.listenerCount('message')).to.equal(0);
+        });
+    });
+});
@@ -55,6 +55,22 @@ let fs = {
         return fs_impl.readFileSync(file, encoding);
     },
 
+    existsSync: function (file) {
+        let isStubbedDir = Object.keys(this._stubs).some(stub => stub.startsWith(file + path.sep));
+        return Boolean(this._stubs[file]) || isStubbedDir || fs_impl.existsSync(file);
+    },
+
+    // Writes are kept in memory so tests never touch the disk.
+    writeFileSync: function (file, data) {
+        this._stubs[file] = () => data;
+    },
+
+    mkdirSync: function () {},
+
+    unlinkSync: function (file) {
+        delete this._stubs[file];
+    },
+
     reset: function () {
         this._stubs = {};
     },